@@ -0,0 +1,35 @@
+import _ from "./utils";
+import styleAccessor from "./styleaccessor";
+/*
+ * Helper for calculating of total CSS transition/animation duration of an element.
+ * Returns 0 when animations are not supported or the element is detached
+ */
+var parseTimeValue = (value) => {
+        var endIndex = value.length - 1;
+
+        return value.lastIndexOf("ms") === endIndex - 1 || value.lastIndexOf("s") !== endIndex ?
+            parseFloat(value) : parseFloat(value) * 1000;
+    },
+    calcDuration = (style, animation) => {
+        var prefix = animation ? "animation-" : "transition-",
+            delay = styleAccessor.get[prefix + "delay"](style).split(","),
+            duration = styleAccessor.get[prefix + "duration"](style).split(","),
+            iterationCount = animation ? styleAccessor.get[prefix + "iteration-count"](style).split(",") : [];
+
+        return Math.max.apply(Math, duration.map((value, index) => {
+            var it = iterationCount[index] || "1";
+            // initial or empty value equals to 1
+            return (it === "initial" ? 1 : parseFloat(it)) *
+                parseTimeValue(value) + (parseTimeValue(delay[index]) || 0);
+        }));
+    };
+// infinite animations produce NaN, so callers treat them as no animation
+export default (node, style) => {
+    // Android Browser is too slow and has a lot of bugs in
+    // the implementation, so disable animations for them
+    if (_.LEGACY_ANDROID || !_.CSS3_ANIMATIONS || !_.docEl.contains(node)) return 0;
+
+    style = style || _.computeStyle(node);
+
+    return Math.max(calcDuration(style), calcDuration(style, true));
+};
@@ -9,19 +9,20 @@ var reSingleTag = /^\w+$/,
 /**
  * Create a new DOM element in memory
  * @memberOf DOM
- * @param  {Mixed}  value     HTMLString, EmmetString or native element
- * @param  {Object} [varMap]  key/value map of variables in emmet template
+ * @param  {Mixed}  value     HTMLString, EmmetString, compiled template or native element
+ * @param  {Object} [varMap]  key/value map of variables in emmet template, values are HTML-escaped
  * @return {$Element|$Elements} element(s) wrapper
  */
 DOM.create = function(value, varMap) {
     if (value.nodeType === 1) return $Element(value);
 
-    if (typeof value !== "string") throw _.makeError("create", true);
+    if (typeof value !== "string" && typeof value !== "function") throw _.makeError("create", true);
 
-    if (reSingleTag.test(value)) {
+    if (typeof value === "string" && reSingleTag.test(value)) {
         value = document.createElement(value);
     } else {
-        sandbox.innerHTML = DOM.template(value, varMap);
+        // functions are precompiled templates from DOM.compile
+        sandbox.innerHTML = typeof value === "function" ? value(varMap) : DOM.template(value, varMap);
 
         for (var nodes = []; value = sandbox.firstChild; sandbox.removeChild(value)) {
             if (value.nodeType === 1) nodes.push(value);
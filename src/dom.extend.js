@@ -11,15 +11,213 @@ import SelectorMatcher from "./selectormatcher";
 
 // Inspired by trick discovered by Daniel Buchner:
 // https://github.com/csuwldcat/SelectorListener
+// MutationObserver is used instead where it's available, because the trick
+// doesn't work for hidden elements or when animations are disabled
 var reRemovableMethod = /^(on|do)[A-Z]/,
+    reDataAttr = /^data-/,
+    reDash = /\-./g,
+    reSelectorAttr = /\[\s*([\w\-]+)/g,
+    attrParsers = {
+        string: (value) => String(value),
+        number: (value) => {
+            value = parseFloat(value);
+
+            return isNaN(value) ? null : value;
+        },
+        boolean: (value) => String(value) !== "false",
+        json: (value) => typeof value === "string" ? JSON.parse(value) : value
+    },
     extensions = [],
+    extended = [],
+    definitions = {},
+    // attributes that can affect matching of registered selectors
+    observedAttrs = {"class": true, "id": true},
+    pendingNodes = [],
     returnTrue = () => true,
     returnFalse = () => false,
-    nativeEventType, animId, link, styles,
-    applyMixins = (obj, mixins) => {
+    NativeObserver = _.CSS3_ANIMATIONS && (window.MutationObserver || window.WebKitMutationObserver),
+    nativeEventType, animId, link, styles, checkTimer, observer,
+    isAncestor = (def, child) => {
+        for (; child; child = child.parent) {
+            if (child === def) return true;
+        }
+
+        return false;
+    },
+    makeSuperMethod = (method, superMethod) => function() {
+        var prevSuper = this._super;
+        // expose overridden method for the call
+        this._super = superMethod;
+
+        try {
+            return method.apply(this, arguments);
+        } finally {
+            this._super = prevSuper;
+        }
+    },
+    parseAttribute = (value, attr) => {
+        if (value != null) {
+            try {
+                value = attrParsers[attr.type](value);
+            } catch (err) {
+                value = null;
+            }
+        }
+
+        return value == null ? attr.value : value;
+    },
+    resolveAttributes = (attributes, parentAttributes) => {
+        var result = {};
+
+        if (parentAttributes) _.forOwn(parentAttributes, (attr, name) => { result[name] = attr });
+
+        _.forOwn(attributes, (attr, name) => {
+            var property = name.replace(reDataAttr, "").replace(reDash, (str) => str[1].toUpperCase());
+
+            if (typeof attr === "string") attr = {type: attr};
+
+            if (!attr || !attrParsers[attr.type]) throw _.makeError("extend", true);
+            // properties must not override the element's API
+            if (property in $Element.prototype) {
+                throw Error("Attribute \"" + name + "\" conflicts with the " + property + " method");
+            }
+
+            result[name] = {
+                type: attr.type,
+                value: "default" in attr ? attr["default"] : (attr.type === "boolean" ? false : null),
+                property: property,
+                handler: "on" + property[0].toUpperCase() + property.substr(1) + "Changed"
+            };
+        });
+
+        return result;
+    },
+    bindAttributes = (el, mixins) => {
+        _.forOwn(mixins.attributes || {}, (attr, name) => {
+            var handler = mixins[attr.handler];
+
+            el[attr.property] = parseAttribute(el._._node.getAttribute(name), attr);
+
+            el.watch(name, (newValue) => {
+                var oldValue = el[attr.property];
+
+                newValue = el[attr.property] = parseAttribute(newValue, attr);
+
+                if (typeof handler === "function" && newValue !== oldValue) {
+                    el.dispatch(handler, newValue, oldValue);
+                }
+            });
+        });
+    },
+    resolveMixins = (mixins, parent) => {
+        var result = {};
+
+        if (parent) _.forOwn(parent.mixins, (value, key) => { result[key] = value });
+
+        _.forOwn(mixins, (value, key) => {
+            var superValue = result[key];
+
+            if (key === "name" || key === "inherits") return;
+
+            if (key === "attributes") {
+                result[key] = resolveAttributes(value, superValue);
+
+                return;
+            }
+
+            if (typeof value === "function" && typeof superValue === "function") {
+                value = makeSuperMethod(value, superValue);
+            }
+
+            result[key] = value;
+        });
+
+        return result;
+    },
+    declareExtension = (selector, mixins) => {
+        var name = mixins.name,
+            parent = mixins.inherits,
+            def;
+
+        if (parent && !definitions[parent]) throw Error("Live extension \"" + parent + "\" is not declared");
+
+        if (name && definitions[name]) throw Error("Live extension \"" + name + "\" is already declared");
+
+        parent = definitions[parent];
+        def = {name: name || selector, parent: parent, mixins: resolveMixins(mixins, parent)};
+
+        if (name) definitions[name] = def;
+
+        return def;
+    },
+    applyMixins = (obj, mixins, def) => {
+        var owners = def && obj._._mixins,
+            keys = Object.keys(mixins).filter((key) => key !== "constructor" && key !== "destructor" && key !== "attributes"),
+            // removable methods are not the part of element's interface
+            getOwner = (key) => {
+                return owners && !reRemovableMethod.exec(key) && owners.hasOwnProperty(key) && owners[key];
+            };
+
+        if (def && !owners) obj.set("__mixins", owners = {});
+        // check for conflicts before changing anything
+        keys.forEach((key) => {
+            var owner = getOwner(key);
+
+            if (owner && obj[key] !== mixins[key] && !isAncestor(owner, def) && !isAncestor(def, owner)) {
+                throw Error("Live extensions \"" + owner.name + "\" and \"" + def.name + "\" both define \"" + key + "\"");
+            }
+        });
+
+        keys.forEach((key) => {
+            var owner = getOwner(key);
+            // skip properties of a more specific extension
+            if (owner && owner !== def && isAncestor(def, owner)) return;
+
+            if (owners && !reRemovableMethod.exec(key)) owners[key] = def;
+
+            obj[key] = mixins[key];
+        });
+    },
+    pickNew = (before, after) => after.filter((x) => before.indexOf(x) < 0),
+    collectWatchers = (el, before) => {
+        var result = {};
+
+        _.forOwn(el._._watchers || {}, (watchers, name) => {
+            result[name] = before ? pickNew(before[name] || [], watchers) : watchers.slice(0);
+        });
+
+        return result;
+    },
+    teardownExtensions = (shouldTeardown) => {
+        extended = extended.filter((el) => {
+            var teardowns = el._._extensions.filter((teardown) => {
+                if (!shouldTeardown(el._._node, teardown)) return true;
+
+                teardown();
+            });
+
+            el.set("__extensions", teardowns);
+
+            return teardowns.length > 0;
+        });
+    },
+    checkExtensions = () => {
+        checkTimer = null;
+        // element was detached or doesn't match the selector anymore
+        teardownExtensions((node, teardown) => !_.docEl.contains(node) || !teardown.accept(node));
+    },
+    revertMixins = (obj, mixins) => {
+        var owners = obj._._mixins || {};
+
         _.forOwn(mixins, (value, key) => {
-            if (key !== "constructor") obj[key] = value;
+            // do not touch properties that were overwritten later
+            if (obj[key] === value) {
+                delete obj[key];
+                delete owners[key];
+            }
         });
+
+        _.forOwn(mixins.attributes || {}, (attr) => { delete obj[attr.property] });
     },
     applyExtensions = (node) => {
         extensions.forEach((ext) => { if (ext.accept(node)) ext(node, true) });
@@ -39,21 +237,119 @@ var reRemovableMethod = /^(on|do)[A-Z]/,
 
         if (stop) (e._skip = e._skip || {})[index] = true;
     },
+    toggleStopExt = (node, handler, remove) => {
+        var el = $Element(node),
+            processed = el._._processed;
+
+        if (!processed) el.set("__processed", processed = {});
+        // remember extensions that handle the element already
+        processed[handler.index] = !remove;
+
+        if (_.CSS3_ANIMATIONS) {
+            node[remove ? "removeEventListener" : "addEventListener"](nativeEventType, handler, false);
+        } else {
+            node[remove ? "detachEvent" : "attachEvent"](nativeEventType, handler);
+        }
+    },
     makeExtHandler = (node, skip) => (ext, index) => {
         // skip previously excluded or mismatched elements
         if (!skip[index] && ext.accept(node)) ext(node);
+    },
+    triggerExtensions = (nodes) => {
+        var processed = [];
+
+        nodes.forEach((node) => {
+            if (node.nodeType !== 1 || !_.docEl.contains(node)) return;
+            // skip subtrees that were already scanned in the same batch
+            if (processed.some((parent) => parent.contains(node))) return;
+
+            processed.push(node);
+
+            [node].concat(_.slice.call(node.getElementsByTagName("*"))).forEach((node) => {
+                var skip = node.__dom__ && node.__dom__._._processed || {},
+                    e;
+                // skip extensions that already handle the element
+                if (extensions.some((ext, index) => !skip[index] && ext.accept(node))) {
+                    e = document.createEvent("HTMLEvents");
+                    // use an internal event type that goes through the same
+                    // pipeline as the animation trick and respects the _skip bitmask
+                    e.initEvent(nativeEventType, true, false);
+                    e.animationName = animId;
+
+                    node.dispatchEvent(e);
+                }
+            });
+        });
+    },
+    observeDocument = () => {
+        // calling observe again just updates options of the observer
+        observer.observe(_.docEl, {childList: true, subtree: true, attributes: true, attributeFilter: Object.keys(observedAttrs)});
+    },
+    observeSelector = (selector) => {
+        var changed = false;
+
+        selector.replace(reSelectorAttr, (str, name) => {
+            name = name.toLowerCase();
+
+            if (!observedAttrs[name]) changed = observedAttrs[name] = true;
+        });
+
+        if (changed && observer) observeDocument();
+    },
+    flushMutations = () => {
+        var nodes = pendingNodes;
+
+        pendingNodes = [];
+
+        triggerExtensions(nodes);
+        checkExtensions();
     };
 
+if (NativeObserver) {
+    // start observing after DOM.ready like the animation trick does,
+    // use setTimeout to make sure that the DOM.ready method exists
+    setTimeout(() => DOM.ready(() => {
+        observer = new NativeObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.type === "childList") {
+                    pendingNodes.push.apply(pendingNodes, _.slice.call(mutation.addedNodes));
+                } else {
+                    // attribute changes can make the element or its children to match
+                    pendingNodes.push(mutation.target);
+                }
+            });
+            // process all mutations of the current batch at once
+            if (!checkTimer) checkTimer = setTimeout(flushMutations, 0);
+        });
+        // observe only attributes that are used in selectors, so frequent
+        // changes of inline styles don't trigger any checks
+        observeDocument();
+    }), 0);
+} else if (_.DOM2_EVENTS) {
+    // mutation events are fired before the actual change, so defer the check
+    ["DOMNodeRemoved", "DOMAttrModified"].forEach((type) => {
+        document.addEventListener(type, () => {
+            if (!checkTimer) checkTimer = setTimeout(checkExtensions, 0);
+        }, false);
+    });
+}
+
 if (_.CSS3_ANIMATIONS) {
-    nativeEventType = _.WEBKIT_PREFIX ? "webkitAnimationStart" : "animationstart";
     animId = "DOM" + new Date().getTime();
 
-    setTimeout(() => DOM.importStyles("@" + _.WEBKIT_PREFIX + "keyframes " + animId, "from {opacity:.99} to {opacity:1}"), 0);
+    if (NativeObserver) {
+        // synthetic events must not be visible for animationstart listeners
+        nativeEventType = animId.toLowerCase() + ":extend";
+    } else {
+        nativeEventType = _.WEBKIT_PREFIX ? "webkitAnimationStart" : "animationstart";
 
-    styles = {
-        "animation-duration": "1ms !important",
-        "animation-name": animId + " !important"
-    };
+        setTimeout(() => DOM.importStyles("@" + _.WEBKIT_PREFIX + "keyframes " + animId, "from {opacity:.99} to {opacity:1}"), 0);
+
+        styles = {
+            "animation-duration": "1ms !important",
+            "animation-name": animId + " !important"
+        };
+    }
 
     document.addEventListener(nativeEventType, (e) => {
         if (e.animationName === animId) {
@@ -78,11 +374,25 @@ if (_.CSS3_ANIMATIONS) {
 }
 
 /**
- * Declare a live extension
+ * Declare a live extension. Optional destructor is called when a matched element
+ * is detached or doesn't match the selector anymore. After that event handlers
+ * and watchers registered by the constructor are removed automatically.
+ * Use the name property to declare a named extension and the inherits property
+ * to reuse mixins of a named extension. Overriding methods can call this._super.
+ * Optional attributes object declares attributes with type (string, number,
+ * boolean or json) and default value. Parsed values are exposed as properties
+ * and changes are passed into the appropriate on{Name}Changed method.
+ * Names of such properties must not conflict with methods of $Element.
+ * Instead of mixins a loader function can be passed. It's called when the first
+ * matched element appears and must call the callback argument with mixins or
+ * return a thenable. Elements that appear earlier are extended after that.
+ * When the thenable is rejected the loader is called again for the next element
  * @memberOf module:extend
  * @param  {String}           selector         css selector of which elements to capture
  * @param  {Boolean|Function} [condition=true] indicates if live extension should be attached or not
- * @param  {Object}           mixins           extension declatation
+ * @param  {Object|Function}  mixins           extension declatation or loader function
+ * @return {Object} extension handle. Call handle.dispose() to unregister the
+ * extension and handle.dispose(true) to revert it on already extended elements
  */
 DOM.extend = function(selector, condition, mixins) {
     if (arguments.length === 2) {
@@ -92,46 +402,190 @@ DOM.extend = function(selector, condition, mixins) {
 
     if (typeof condition === "boolean") condition = condition ? returnTrue : returnFalse;
 
-    if (!mixins || typeof mixins !== "object" || typeof condition !== "function") throw _.makeError("extend", true);
+    if (!mixins || typeof condition !== "function" ||
+        typeof mixins !== "object" && (typeof mixins !== "function" || selector === "*")) {
+        throw _.makeError("extend", true);
+    }
 
-    if (selector === "*") {
-        // extending element prototype
-        applyMixins($Element.prototype, mixins);
-    } else {
-        var eventHandlers = Object.keys(mixins).filter((prop) => !!reRemovableMethod.exec(prop)),
-            ctr = mixins.hasOwnProperty("constructor") && mixins.constructor,
-            index = extensions.length,
-            ext = (node, mock) => {
-                var el = $Element(node);
-
-                if (_.CSS3_ANIMATIONS) {
-                    node.addEventListener(nativeEventType, stopExt(node, index), false);
-                } else {
-                    node.attachEvent(nativeEventType, stopExt(node, index));
-                }
+    var index = extensions.length,
+        disposed = false,
+        queue = [],
+        def, eventHandlers, ctr, dtr, rule,
+        declare = (mixins) => {
+            def = declareExtension(selector, mixins);
+            eventHandlers = Object.keys(def.mixins).filter((prop) => !!reRemovableMethod.exec(prop));
+            ctr = def.mixins.hasOwnProperty("constructor") && def.mixins.constructor;
+            dtr = def.mixins.destructor;
+        },
+        clearQueue = () => {
+            // allow queued elements to be extended later
+            queue.forEach((entry) => { toggleStopExt(entry[0], entry[1], true) });
+            queue = [];
+        },
+        load = () => {
+            var result;
+
+            try {
+                result = mixins(resolve);
+            } catch (err) {
+                return reject(err);
+            }
+
+            if (result && typeof result.then === "function") result.then(resolve, reject);
+        },
+        reject = (err) => {
+            if (def || disposed) return;
+            // the next matched element retries loading
+            clearQueue();
+            // report the error without breaking anything else
+            DOM.dispatch(() => { throw err });
+        },
+        resolve = (mixins) => {
+            if (def || disposed) return;
 
-                if (mock !== true && condition(el) === false) return;
+            if (!mixins || typeof mixins !== "object") throw _.makeError("extend", true);
 
-                applyMixins(el, mixins);
-                // make a safe call so live extensions can't break each other
-                if (ctr) el.dispatch(ctr);
-                // remove event handlers from element's interface
-                if (mock !== true) eventHandlers.forEach((prop) => { delete el[prop] });
+            declare(mixins);
+            // extend queued elements in document order
+            _.each.call(document.querySelectorAll(selector), (node) => {
+                queue = queue.filter((entry) => {
+                    if (entry[0] !== node) return true;
+
+                    applyExt(node, false, entry[1]);
+                });
+            });
+            // allow detached elements to be extended later
+            clearQueue();
+        },
+        applyExt = (node, mock, skipExt) => {
+            var el = $Element(node),
+                handlers, watchers, teardown;
+
+            if (mock === true) {
+                applyMixins(el, def.mixins, def);
+            } else {
+                if (condition(el) === false) return;
+                // make a safe call, so a conflict is reported
+                // without breaking extension of other elements
+                if (!el.dispatch(() => applyMixins(el, def.mixins, def) || true)) return;
+            }
+
+            if (mock !== true) {
+                handlers = [el._._handlers.slice(0), DOM._._handlers.slice(0)];
+                watchers = collectWatchers(el);
+            }
+
+            bindAttributes(el, def.mixins);
+            // make a safe call so live extensions can't break each other
+            if (ctr) el.dispatch(ctr);
+
+            if (mock === true) return;
+            // remove event handlers from element's interface
+            eventHandlers.forEach((prop) => { delete el[prop] });
+            // find out handlers and watchers registered by the constructor
+            handlers = [
+                [el, pickNew(handlers[0], el._._handlers)],
+                [DOM, pickNew(handlers[1], DOM._._handlers)]
+            ];
+
+            watchers = collectWatchers(el, watchers);
+
+            teardown = () => {
+                // allow the extension to be applied again later
+                toggleStopExt(node, skipExt, true);
+
+                if (dtr) el.dispatch(dtr);
+
+                handlers.forEach((entry) => {
+                    // remove exactly collected handlers, the same callback
+                    // could be registered by constructors of other elements
+                    entry[1].forEach((handler) => { entry[0].off(handler.type, handler) });
+                });
+
+                _.forOwn(watchers, (list, name) => {
+                    list.forEach((callback) => { el.unwatch(name, callback) });
+                });
             };
 
-        ext.accept = SelectorMatcher(selector);
-        extensions.push(ext);
-
-        DOM.ready(() => {
-            // initialize extension manually to make sure that all elements
-            // have appropriate methods before they are used in other DOM.ready.
-            // Also fixes legacy IEs when the HTC behavior is already attached
-            _.each.call(document.querySelectorAll(selector), ext);
-            // Any extension should be initialized after DOM.ready
-            // MUST be after querySelectorAll because of legacy IEs behavior
-            DOM.importStyles(selector, styles);
-        });
+            teardown.accept = ext.accept;
+            teardown.index = index;
+
+            if (!el._._extensions) el.set("__extensions", []);
+            if (extended.indexOf(el) < 0) extended.push(el);
+
+            el._._extensions.push(teardown);
+        },
+        ext = (node, mock) => {
+            var skipExt = stopExt(node, index);
+
+            skipExt.index = index;
+
+            toggleStopExt(node, skipExt);
+
+            if (def) {
+                applyExt(node, mock, skipExt);
+            } else if (mock !== true) {
+                // extension is not loaded yet, so queue the element
+                if (queue.push([node, skipExt]) === 1) load();
+            }
+        };
+
+    if (typeof mixins === "object") declare(mixins);
+
+    if (selector === "*") {
+        // extending element prototype
+        applyMixins($Element.prototype, def.mixins);
+
+        return {
+            dispose: (revert) => {
+                if (revert === true) revertMixins($Element.prototype, def.mixins);
+            }
+        };
     }
+
+    ext.accept = SelectorMatcher(selector);
+    extensions.push(ext);
+
+    if (NativeObserver) observeSelector(selector);
+
+    DOM.ready(() => {
+        if (disposed) return;
+        // initialize extension manually to make sure that all elements
+        // have appropriate methods before they are used in other DOM.ready.
+        // Also fixes legacy IEs when the HTC behavior is already attached
+        _.each.call(document.querySelectorAll(selector), ext);
+        // Any extension should be initialized after DOM.ready
+        // MUST be after querySelectorAll because of legacy IEs behavior
+        if (styles) rule = DOM.importStyles(selector, styles);
+    });
+
+    return {
+        dispose: (revert) => {
+            if (disposed) return;
+
+            disposed = true;
+            // use delete to keep indexes of other extensions
+            delete extensions[index];
+
+            if (rule) rule.remove();
+
+            clearQueue();
+
+            if (revert === true && def) {
+                var reverted = [];
+
+                teardownExtensions((node, teardown) => {
+                    if (teardown.index !== index) return false;
+
+                    reverted.push(node);
+
+                    return true;
+                });
+                // revert mixins after destructors because they may use them
+                reverted.forEach((node) => { revertMixins($Element(node), def.mixins) });
+            }
+        }
+    };
 };
 
 /**
@@ -0,0 +1,169 @@
+import _ from "./utils";
+import DOM from "./dom";
+import $Element from "./element";
+import EventHandler from "./eventhandler";
+
+/**
+ * Touch and mouse gesture events support
+ * @module gestures
+ */
+
+var installed = false,
+    gesture = null,
+    lastTap = null,
+    // compatibility mouse events follow touch events on mobile devices
+    lastTouchTime = 0,
+    GHOST_CLICK_DELAY = 800,
+    getPoints = (e, changed) => {
+        // touchend has released fingers only in changedTouches
+        var touches = changed ? e.changedTouches : e.touches;
+
+        return _.slice.call(touches || [e], 0).map((point) => [point.clientX, point.clientY]);
+    },
+    getDistance = (a, b) => Math.sqrt(Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2)),
+    fireGesture = (type, state, detail) => {
+        detail.duration = Date.now() - state.time;
+
+        $Element(state.target).fire({type: type, detail: detail});
+    },
+    handleStart = (e) => {
+        var isTouch = e.type === "touchstart",
+            points = getPoints(e),
+            target = e.target,
+            state;
+
+        if (isTouch) {
+            lastTouchTime = Date.now();
+        } else if (e.button || Date.now() - lastTouchTime < GHOST_CLICK_DELAY) {
+            return;
+        }
+        // text nodes can be targets in old Safari
+        if (target.nodeType !== 1) target = target.parentNode;
+
+        if (gesture) clearTimeout(gesture.timer);
+
+        gesture = state = {target: target, start: points[0], end: points[0], time: Date.now()};
+
+        if (points.length > 1) {
+            state.pinch = getDistance(points[0], points[1]);
+        } else {
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                state.longpress = true;
+
+                fireGesture("longpress", state, {x: state.start[0], y: state.start[1]});
+            }, DOM.gestures.longPressDelay);
+        }
+    },
+    handleMove = (e) => {
+        var points = getPoints(e),
+            scale;
+
+        if (!gesture || e.type === "mousemove" && Date.now() - lastTouchTime < GHOST_CLICK_DELAY) return;
+
+        gesture.end = points[0];
+
+        if (gesture.timer && getDistance(gesture.start, gesture.end) > DOM.gestures.tapDistance) {
+            clearTimeout(gesture.timer);
+
+            gesture.timer = null;
+        }
+
+        if (gesture.pinch && points.length > 1) {
+            scale = getDistance(points[0], points[1]) / gesture.pinch;
+
+            if (Math.abs(scale - 1) >= DOM.gestures.pinchScale) {
+                gesture.pinched = true;
+
+                fireGesture("pinch", gesture, {scale: scale});
+            }
+        }
+    },
+    handleEnd = (e) => {
+        var options = DOM.gestures,
+            current = gesture,
+            point = getPoints(e, true)[0],
+            dx, dy, distance, now, detail;
+
+        if (!current || e.type === "mouseup" && Date.now() - lastTouchTime < GHOST_CLICK_DELAY) return;
+        // wait until all fingers are released
+        if (e.touches && e.touches.length) return;
+
+        if (e.type === "touchend") lastTouchTime = Date.now();
+
+        clearTimeout(current.timer);
+
+        gesture = null;
+
+        if (point) current.end = point;
+
+        if (current.longpress || current.pinched) return;
+
+        now = Date.now();
+        dx = current.end[0] - current.start[0];
+        dy = current.end[1] - current.start[1];
+        distance = getDistance(current.start, current.end);
+        detail = {x: current.end[0], y: current.end[1], deltaX: dx, deltaY: dy};
+
+        if (distance <= options.tapDistance) {
+            fireGesture("tap", current, detail);
+
+            if (lastTap && now - lastTap.time <= options.doubleTapInterval &&
+                getDistance(lastTap.point, current.end) <= options.tapDistance) {
+                lastTap = null;
+
+                fireGesture("doubletap", current, detail);
+            } else {
+                lastTap = {time: now, point: current.end};
+            }
+        } else if (distance >= options.swipeDistance && now - current.time <= options.swipeDuration) {
+            fireGesture("swipe", current, detail);
+
+            if (Math.abs(dx) >= Math.abs(dy)) {
+                fireGesture(dx < 0 ? "swipeleft" : "swiperight", current, detail);
+            } else {
+                fireGesture(dy < 0 ? "swipeup" : "swipedown", current, detail);
+            }
+        }
+    },
+    installGestures = () => {
+        if (installed || !_.DOM2_EVENTS) return;
+
+        installed = true;
+        // capturing listeners on document detect gestures for any element
+        ["touchstart", "mousedown"].forEach((type) => { document.addEventListener(type, handleStart, true) });
+        ["touchmove", "mousemove"].forEach((type) => { document.addEventListener(type, handleMove, true) });
+        ["touchend", "touchcancel", "mouseup"].forEach((type) => { document.addEventListener(type, handleEnd, true) });
+    };
+
+/**
+ * Thresholds of gesture events: tap, doubletap, longpress, swipe,
+ * swipeleft, swiperight, swipeup, swipedown and pinch. Gesture events
+ * bubble, so they can be delegated. Details like deltaX, deltaY or
+ * scale are available in the detail property
+ * @memberOf module:gestures
+ * @type {Object}
+ * @example
+ * DOM.gestures.swipeDistance = 50;
+ *
+ * DOM.on("swipeleft .card", (card, detail) => {
+ *     card.hide();
+ * }, ["currentTarget", "detail"]);
+ */
+DOM.gestures = {
+    // maximum movement in pixels for tap and longpress
+    tapDistance: 10,
+    // maximum time between taps in miliseconds
+    doubleTapInterval: 300,
+    longPressDelay: 500,
+    // minimum movement in pixels and maximum duration of swipe
+    swipeDistance: 30,
+    swipeDuration: 1000,
+    // minimum change of scale to trigger pinch
+    pinchScale: 0.05
+};
+
+"tap doubletap longpress swipe swipeleft swiperight swipeup swipedown pinch".split(" ").forEach((name) => {
+    // gesture recognizer is lazy, so there is no overhead until it's needed
+    EventHandler.hooks[name] = () => { installGestures() };
+});
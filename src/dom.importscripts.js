@@ -1,31 +1,111 @@
 import _ from "./utils";
 import DOM from "./dom";
+import Promise from "./promise";
+
+var scripts = {},
+    // dynamically inserted scripts with async=false are downloaded in parallel
+    // but executed in order. Other browsers have to load scripts one by one
+    ORDERED_ASYNC = document.createElement("script").async === true,
+    loadScript = (url, callback) => {
+        // value is true for loaded urls or list of callbacks for pending ones
+        var listeners = scripts[url],
+            script, done;
+
+        if (listeners === true) return callback();
+        // do not inject the same script twice
+        if (listeners) return listeners.push(callback);
+
+        scripts[url] = listeners = [callback];
+
+        script = document.createElement("script");
+        done = (err) => {
+            script.onload = script.onerror = null;
+            // failed scripts can be requested again
+            if (err) {
+                delete scripts[url];
+            } else {
+                scripts[url] = true;
+            }
+
+            listeners.forEach((callback) => { callback(err) });
+        };
+
+        script.src = url;
+        script.async = !ORDERED_ASYNC;
+        script.onload = () => { done() };
+        script.onerror = () => { done(Error("Unable to load " + url)) };
+
+        _.injectElement(script);
+    };
 
 /**
- * Import external scripts on the page and call optional callback when it will be done
+ * Import external scripts on the page and call optional callback when it will be done.
+ * Scripts are executed in order, already loaded urls are skipped
  * @memberOf DOM
  * @param {...String} urls       script file urls
+ * @param {Object}    [options]  import options, supports timeout in miliseconds (15 seconds by default)
  * @param {Function}  [callback] callback that is triggered when all scripts are loaded
+ * @return {Promise} promise that is rejected when any script fails to load
  */
 DOM.importScripts = function(...urls) {
-    var callback = function() {
-        var arg = urls.shift(),
-            argType = typeof arg,
-            script;
-
-        if (argType === "string") {
-            script = document.createElement("script");
-            script.src = arg;
-            script.onload = callback;
-            script.async = true;
-
-            _.injectElement(script);
-        } else if (argType === "function") {
-            arg();
-        } else if (arg) {
-            throw _.makeError("importScripts", true);
+    var callback = typeof urls[urls.length - 1] === "function" ? urls.pop() : null,
+        options = urls[urls.length - 1],
+        result;
+
+    if (options && typeof options === "object") {
+        urls.pop();
+    } else {
+        options = {};
+    }
+
+    if (urls.some((url) => typeof url !== "string")) throw _.makeError("importScripts", true);
+
+    result = new Promise((resolve, reject) => {
+        var remaining = urls.length,
+            failed = false,
+            timer,
+            finish = () => {
+                clearTimeout(timer);
+
+                if (callback) callback();
+
+                resolve();
+            },
+            complete = (err) => {
+                if (failed) return;
+
+                if (err) {
+                    failed = true;
+
+                    clearTimeout(timer);
+
+                    reject(err);
+                } else if (!--remaining) {
+                    finish();
+                }
+            },
+            loadNext = (index) => {
+                loadScript(urls[index], (err) => {
+                    complete(err);
+
+                    if (!failed && index + 1 < urls.length) loadNext(index + 1);
+                });
+            };
+
+        timer = setTimeout(() => {
+            complete(Error("Loading of " + urls.join(", ") + " has timed out"));
+        }, options.timeout || 15000);
+
+        if (!remaining) {
+            finish();
+        } else if (ORDERED_ASYNC) {
+            urls.forEach((url) => { if (!failed) loadScript(url, complete) });
+        } else {
+            loadNext(0);
         }
-    };
+    });
+    // callback users don't handle errors, so prevent unhandled rejections
+    if (callback) result.then(null, () => {});
 
-    callback();
+    return result;
 };
@@ -2,47 +2,228 @@ import _ from "./utils";
 import DOM from "./dom";
 import styleAccessor from "./styleaccessor";
 
-var styleNode = _.injectElement(document.createElement("style")),
-    styleSheet = styleNode.sheet || styleNode.styleSheet,
-    styleRules = styleSheet.cssRules || styleSheet.rules;
+var reGroupingRule = /^@(media|supports|document)/,
+    sheets = {},
+    sheetScopes = {},
+    createStyleNode = () => _.injectElement(document.createElement("style")),
+    getStyleSheet = (styleNode) => styleNode.sheet || styleNode.styleSheet,
+    globalSheet = getStyleSheet(createStyleNode()),
+    getRules = (styleSheet) => styleSheet.cssRules || styleSheet.rules,
+    isAtRule = (selector) => selector.charAt(0) === "@",
+    stringifyStyles = (styles) => {
+        var styleObj = {}, result = [];
+
+        _.forOwn(styles, (value, prop) => {
+            var hook = styleAccessor.set[prop],
+                cssValue = typeof value === "number" ? value + "px" : value || "";
+
+            if (hook) {
+                // hooks know which properties are unitless
+                hook(styleObj, typeof value === "number" ? value : cssValue);
+            } else {
+                styleObj[prop] = cssValue;
+            }
+        });
+
+        _.forOwn(styleObj, (styles, prop) => { result.push(prop + ":" + styles) });
+
+        return result.join(";");
+    },
+    combineSelectors = (parent, child) => {
+        if (!parent) return child;
+
+        return parent.split(",").map((parent) => {
+            parent = parent.trim();
+
+            return child.split(",").map((child) => {
+                child = child.trim();
+                // & references parent selector like in css preprocessors
+                return ~child.indexOf("&") ? child.replace(/&/g, parent) : parent + " " + child;
+            }).join(",");
+        }).join(",");
+    },
+    makeRules = (selector, cssText) => {
+        var nested = [], declarations = {}, hasDeclarations = false, body;
+
+        if (typeof cssText === "string") return [[selector, cssText]];
+
+        if (!cssText || typeof cssText !== "object") throw _.makeError("importStyles", true);
+
+        _.forOwn(cssText, (value, key) => {
+            if (value && typeof value === "object") {
+                if (isAtRule(selector) || isAtRule(key) && !reGroupingRule.test(key)) {
+                    // content of @media, @supports, @keyframes etc.
+                    nested = nested.concat(makeRules(key, value));
+                } else if (isAtRule(key)) {
+                    // wrapper for styles of the current selector
+                    nested.push([key, makeRules(selector, value).map((rule) => rule[0] + " {" + rule[1] + "}").join(" ")]);
+                } else {
+                    nested = nested.concat(makeRules(combineSelectors(selector, key), value));
+                }
+            } else {
+                declarations[key] = value;
+                hasDeclarations = true;
+            }
+        });
+
+        body = stringifyStyles(declarations);
+
+        if (isAtRule(selector)) {
+            return [[selector, [body].concat(nested.map((rule) => rule[0] + " {" + rule[1] + "}")).join(" ")]];
+        }
+
+        if (hasDeclarations && !selector) throw _.makeError("importStyles", true);
+
+        return (hasDeclarations ? [[selector, body]] : []).concat(nested);
+    },
+    scopeRules = (scope, selector, cssText) => {
+        var wrapper = {};
+
+        if (!scope) return makeRules(selector, cssText);
+        // string content of at-rules can't be scoped
+        if (typeof cssText === "string") return [[isAtRule(selector) ? selector : combineSelectors(scope, selector), cssText]];
+
+        if (!selector) return makeRules(scope, cssText);
+
+        wrapper[selector] = cssText;
+
+        return makeRules(scope, wrapper);
+    },
+    insertRules = (styleSheet, rules, index) => {
+        var styleRules = getRules(styleSheet),
+            result = [];
+
+        rules.forEach((rule) => {
+            if (styleSheet.cssRules) {
+                styleSheet.insertRule(rule[0] + " {" + rule[1] + "}", index);
+
+                result.push(styleRules[index++]);
+            } else {
+                // ie doesn't support multiple selectors in addRule
+                rule[0].split(",").forEach((selector) => {
+                    styleSheet.addRule(selector, rule[1], index);
+
+                    result.push(styleRules[index++]);
+                });
+            }
+        });
+
+        return result;
+    },
+    deleteRules = (styleSheet, rules) => {
+        rules.forEach((rule) => {
+            // rule indexes are changed after any deletion
+            var index = _.slice.call(getRules(styleSheet), 0).indexOf(rule);
+
+            if (~index) styleSheet[styleSheet.cssRules ? "deleteRule" : "removeRule"](index);
+        });
+    },
+    importRules = (styleSheet, scope, selector, cssText) => {
+        if (selector && typeof selector === "object" && cssText === undefined) {
+            cssText = selector;
+            selector = "";
+        }
+
+        if (typeof selector !== "string" || typeof cssText !== "string" && (!cssText || typeof cssText !== "object")) {
+            throw _.makeError("importStyles", true);
+        }
+
+        var rules = insertRules(styleSheet, scopeRules(scope, selector, cssText), getRules(styleSheet).length);
+
+        return {
+            update: (cssText) => {
+                var newRules = scopeRules(scope, selector, cssText),
+                    // keep position of the rules to preserve the cascade
+                    index = rules.length ? _.slice.call(getRules(styleSheet), 0).indexOf(rules[0]) : -1;
+
+                deleteRules(styleSheet, rules);
+
+                rules = insertRules(styleSheet, newRules, ~index ? index : getRules(styleSheet).length);
+            },
+            remove: () => {
+                deleteRules(styleSheet, rules);
+
+                rules = [];
+            }
+        };
+    };
 
 /**
  * Append global css styles
  * @memberOf DOM
- * @param {String}         selector  css selector
- * @param {String|Object}  cssText   css rules
+ * @param {String}         [selector]  css selector or at-rule like @media or @supports
+ * @param {String|Object}  cssText     css rules, object values can be nested objects for other selectors
+ * @return {Object} handle with the update and remove methods to change imported rules
+ * @example
+ * DOM.importStyles(".foo", {color: "red"});
+ * // nested objects produce rules for descendant selectors, & references the parent
+ * DOM.importStyles(".foo", {".bar": {display: "none"}, "&:hover": {color: "blue"}});
+ * // at-rules wrap nested rules
+ * DOM.importStyles("@media print", {".foo": {display: "none"}});
+ * DOM.importStyles(".foo", {"@supports (display: flex)": {display: "flex"}});
  */
 DOM.importStyles = function(selector, cssText) {
-    if (cssText && typeof cssText === "object") {
-        var styleObj = {};
+    return importRules(globalSheet, "", selector, cssText);
+};
 
-        _.forOwn(cssText, (value, prop) => {
-            var hook = styleAccessor.set[prop];
+/**
+ * Get named stylesheet that can be enabled, disabled or replaced as a unit.
+ * Options are applied when the stylesheet is created, so an existing
+ * stylesheet can't be requested with another scope
+ * @memberOf DOM
+ * @param  {String}  name               stylesheet name
+ * @param  {Object}  [options]          stylesheet options
+ * @param  {String}  [options.scope]    container selector that prefixes every rule
+ * @return {Object} stylesheet with importStyles, replace, enable, disable and remove methods
+ * @example
+ * var theme = DOM.styleSheet("theme", {scope: "#app"});
+ * // imports rule "#app .header {color: red}"
+ * theme.importStyles(".header", {color: "red"});
+ * // & references the container itself
+ * theme.importStyles("&.dark", {background: "black"});
+ */
+DOM.styleSheet = function(name, options = {}) {
+    if (typeof name !== "string" || !options || typeof options !== "object") throw _.makeError("styleSheet", true);
 
-            value = typeof value === "number" ? value + "px" : value || "";
+    var scope = options.scope || "",
+        styleNode, styleSheet, handles;
 
-            if (hook) {
-                hook(styleObj, value);
-            } else {
-                styleObj[prop] = value;
-            }
-        });
+    if (sheets.hasOwnProperty(name)) {
+        // options of an existing stylesheet can't be changed
+        if ("scope" in options && sheetScopes[name] !== scope) {
+            throw Error("Stylesheet \"" + name + "\" already exists with another scope");
+        }
 
-        cssText = [];
+        return sheets[name];
+    }
 
-        _.forOwn(styleObj, (styles, selector) => { cssText.push(selector + ":" + styles) });
+    styleNode = createStyleNode();
+    styleSheet = getStyleSheet(styleNode);
+    handles = [];
+    sheetScopes[name] = scope;
 
-        cssText = cssText.join(";");
-    }
+    return sheets[name] = {
+        importStyles: (selector, cssText) => {
+            var handle = importRules(styleSheet, scope, selector, cssText);
 
-    if (typeof selector !== "string" || typeof cssText !== "string") {
-        throw _.makeError("importStyles", true);
-    }
+            handles.push(handle);
 
-    if (styleSheet.cssRules) {
-        styleSheet.insertRule(selector + " {" + cssText + "}", styleRules.length);
-    } else {
-        // ie doesn't support multiple selectors in addRule
-        selector.split(",").forEach((selector) => { styleSheet.addRule(selector, cssText) });
-    }
+            return handle;
+        },
+        replace: (selector, cssText) => {
+            handles.forEach((handle) => { handle.remove() });
+
+            handles = [importRules(styleSheet, scope, selector, cssText)];
+
+            return handles[0];
+        },
+        enable: () => { styleSheet.disabled = false },
+        disable: () => { styleSheet.disabled = true },
+        remove: () => {
+            styleNode.parentNode.removeChild(styleNode);
+
+            delete sheets[name];
+            delete sheetScopes[name];
+        }
+    };
 };
@@ -0,0 +1,116 @@
+import _ from "./utils";
+import DOM from "./dom";
+import $Element from "./element";
+import Promise from "./promise";
+
+/**
+ * Batching of DOM reads and writes
+ * @module scheduler
+ */
+
+var reads = [],
+    writes = [],
+    scheduled = false,
+    // chainable methods that can be deferred
+    writeMethods = "set style addClass removeClass toggleClass append prepend after before replace remove show hide toggle".split(" "),
+    runTasks = (tasks) => { tasks.forEach((task) => { task() }) },
+    flush = () => {
+        var tasks = reads;
+
+        reads = [];
+        // all reads go first to avoid forced synchronous layouts,
+        // writes queued by them are executed in the same frame
+        runTasks(tasks);
+
+        tasks = writes;
+        writes = [];
+
+        runTasks(tasks);
+        // tasks queued during the write phase wait for the next frame
+        if (reads.length || writes.length) {
+            _.raf(flush);
+        } else {
+            scheduled = false;
+        }
+    },
+    schedule = () => {
+        if (!scheduled) {
+            scheduled = true;
+
+            _.raf(flush);
+        }
+    };
+
+function makeSchedulerMethod(methodName, isWrite) {
+    return function(callback) {
+        if (typeof callback !== "function") throw _.makeError(methodName, true);
+
+        return new Promise((resolve, reject) => {
+            (isWrite ? writes : reads).push(() => {
+                try {
+                    resolve(callback());
+                } catch (err) {
+                    reject(err);
+                }
+            });
+
+            schedule();
+        });
+    };
+}
+
+/**
+ * Schedule reading from DOM, e.g. measuring of elements, in the next animation frame
+ * @memberOf module:scheduler
+ * @param  {Function} callback  function that reads from DOM
+ * @return {Promise} promise that is resolved with result of the callback
+ * @function
+ * @example
+ * DOM.measure(() => el.offset()).then((offset) => {
+ *     DOM.mutate(() => { el.style("top", offset.bottom) });
+ * });
+ */
+DOM.measure = makeSchedulerMethod("measure", false);
+
+/**
+ * Schedule writing to DOM in the next animation frame. All writes are executed
+ * after reads scheduled for the same frame
+ * @memberOf module:scheduler
+ * @param  {Function} callback  function that writes to DOM
+ * @return {Promise} promise that is resolved with result of the callback
+ * @function
+ */
+DOM.mutate = makeSchedulerMethod("mutate", true);
+
+/**
+ * Get proxy object that queues calls of chainable methods into the write phase.
+ * Deferred calls are safe, so an error is reported but doesn't break other calls
+ * @memberOf module:scheduler
+ * @return {Object} object with deferred versions of set, style, addClass etc.
+ * @example
+ * el.defer().addClass("active").style("width", 100);
+ */
+$Element.prototype.defer = function() {
+    var el = this,
+        proxy = {};
+
+    writeMethods.forEach((name) => {
+        if (typeof el[name] === "function") {
+            proxy[name] = function() {
+                var args = arguments;
+
+                writes.push(() => {
+                    // make a safe call, so errors are reported
+                    // and do not break other deferred calls
+                    el.dispatch(() => { el[name].apply(el, args) });
+                });
+
+                schedule();
+
+                return proxy;
+            };
+        }
+    });
+
+    return proxy;
+};
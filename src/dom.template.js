@@ -8,164 +8,338 @@ import DOM from "./dom";
  * @see http://docs.emmet.io/cheat-sheet/
  */
 
-var // operator type / priority object
-    operators = {"(": 1,")": 2,"^": 3,">": 4,"+": 4,"*": 5,"`": 6,"]": 5,"[": 6,".": 7,"#": 8},
-    reAttr = /([\w\-]+)(?:=((?:(`|')((?:\\?.)*)?\3)|[^\s]+))?/g,
+var reAttr = /((?:[\w\-]|\{&?[\w\-]+\})+)(?:=((?:(`|')((?:\\?.)*)?\3)|[^\s]+))?/g,
     reIndex = /(\$+)(?:@(-)?(\d+)?)?/g,
     reHtml = /^[\s<]/,
+    reName = /[^\s.#\[\]`{}()>+^*]/,
+    reTagPart = /[^\s\]`{}()+^*]/,
+    reDigit = /\d/,
+    reVar = /\{(&?)([\w\-]+)\}/g,
+    reVarStart = /^\{&?[\w\-]+\}/,
+    reVarTerm = /^\{[\w\-]+\}$/,
+    reNameValue = /^[\w\-]*$/,
+    reTextChars = /[&<>]/g,
+    reAttrChars = /[&<>"']/g,
+    htmlEntities = {"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"},
     cache = {},
-    toString = (term) => term.join ? term.join("") : term,
+    emptyTags = {},
+    // tag names for elements without a tag depending on the parent
+    implicitTags = {ul: "li", ol: "li", table: "tr", tbody: "tr", thead: "tr", tfoot: "tr", tr: "td", select: "option", optgroup: "option", map: "area", audio: "source", video: "source", object: "param"},
     normalizeAttrs = (term, name, value, quotes, rawValue) => {
         if (!quotes || quotes === "`") quotes = "\"";
         // always wrap attribute values with quotes if they don't exist
         // replace ` quotes with " except when it's a single quotes case
         return name + "=" + quotes + (rawValue || value || name) + quotes;
     },
-    injectTerm = (term, first) => (el) => {
-        var index = first ? el.indexOf(">") : el.lastIndexOf("<");
-        // inject term into the html string
-        return el.substr(0, index) + term + el.substr(index);
-    },
-    makeTerm = (tag) => {
-        var result = cache[tag];
-
-        if (!result) result = cache[tag] = "<" + tag + "></" + tag + ">";
+    formatIndex = (str, context) => {
+        if (!context) return str;
 
-        return result;
-    },
-    makeIndexedTerm = (term) => (_, i, arr) => {
-        return term.replace(reIndex, (expr, fmt, sign, base) => {
-            var index = (sign ? arr.length - i - 1 : i) + (base ? +base : 1);
+        return str.replace(reIndex, (expr, fmt, sign, base) => {
+            var index = (sign ? context.count - context.index - 1 : context.index) + (base ? +base : 1);
             // make zero-padding index string
             return (fmt + index).slice(-fmt.length).split("$").join("0");
         });
-    };
+    },
+    reMarker = /\x00(\d+)\x00/g,
+    formatVar = (slot, varMap) => {
+        var isTerm = slot.kind === "term",
+            value;
+        // lone {name} term without a value is just braces text
+        if (!varMap || !(slot.name in varMap)) return isTerm ? slot.name : slot.expr;
+
+        value = String(varMap[slot.name]);
+        // tag and attribute names can't be escaped, so reject any unsafe value
+        if (slot.kind) {
+            if (!reNameValue.test(value)) throw Error("Value of \"" + slot.name + "\" variable is not a valid name");
+        } else if (!slot.raw) {
+            // {&name} inserts value as is
+            value = value.replace(slot.reUnsafe, (ch) => htmlEntities[ch]);
+        }
+        // value of a lone {name} term is a tag name
+        if (isTerm && value) value = "<" + value + ">" + (emptyTags.hasOwnProperty(value) ? "" : "</" + value + ">");
+
+        return value;
+    },
+    makeParseError = (template, pos, reason) => Error(reason + " at position " + pos + " in template \"" + template + "\"");
 
-// populate empty tags
 "area base br col hr img input link meta param command keygen source".split(" ").forEach((tag) => {
-    cache[tag] = "<" + tag + ">";
+    emptyTags[tag] = true;
 });
 
-/**
- * Parse emmet-like template into a HTML string
- * @memberOf module:template
- * @param  {String}       template  emmet-like expression
- * @param  {Object|Array} [varMap]  key/value map of variables
- * @return {String} HTML string
- */
-DOM.template = function(template, varMap) {
-    if (typeof template !== "string") throw _.makeError("template", true);
-    // handle varMap
-    if (varMap) template = _.format(template, varMap);
+"a abbr b button cite code em i label q s small span strong sub sup u".split(" ").forEach((tag) => {
+    implicitTags[tag] = "span";
+});
 
-    var stack = [],
-        output = [],
-        term = "",
-        i, n, str, priority, skip, node;
+function parseTemplate(template) {
+    var pos = 0,
+        length = template.length,
+        unexpected = () => makeParseError(template, pos, pos < length ? "Unexpected \"" + template[pos] + "\"" : "Unexpected end"),
+        readName = (isTag) => {
+            var start = pos,
+                match, next;
+
+            while (pos < length) {
+                if (reName.test(template[pos])) {
+                    ++pos;
+                } else if (match = reVarStart.exec(template.substr(pos))) {
+                    next = template[pos + match[0].length] || "";
+                    // {name} that starts a term is a tag name only when the element continues.
+                    // Inside a name it must follow "-" or precede other name symbols,
+                    // otherwise it's braces text after the name, e.g. a{Click}
+                    if (pos === start ? isTag && !reTagPart.test(next) : template[pos - 1] !== "-" && !reName.test(next)) break;
+
+                    pos += match[0].length;
+                } else {
+                    break;
+                }
+            }
 
-    if (template in cache) return cache[template];
+            return template.substring(start, pos);
+        },
+        readWhile = (re) => {
+            var start = pos;
+
+            while (pos < length && re.test(template[pos])) ++pos;
+
+            return template.substring(start, pos);
+        },
+        readUntil = (closing) => {
+            var start = pos, depth = 0, quote, ch;
+
+            for (++pos; pos < length; ++pos) {
+                ch = template[pos];
+
+                if (closing !== "]") {
+                    // {text} can contain nested {variables}
+                    if (ch === "{" && closing === "}") {
+                        ++depth;
+                    } else if (ch === closing) {
+                        if (!depth) return template.substring(start + 1, pos++);
+
+                        --depth;
+                    }
+                } else if (ch === "\\") {
+                    ++pos; // skip escaped symbol
+                } else if (quote) {
+                    if (ch === quote) quote = null;
+                } else if (ch === "'" || ch === "`") {
+                    quote = ch;
+                } else if (ch === closing) {
+                    return template.substring(start + 1, pos++);
+                }
+            }
 
-    if (!template || reHtml.exec(template)) return template;
+            throw makeParseError(template, start, "Unclosed \"" + template[start] + "\"");
+        },
+        parseElement = () => {
+            var start = pos,
+                node = {tag: readName(true), id: "", classes: [], attrs: [], text: "", children: []},
+                ch, value;
 
-    // parse expression into RPN
+            while (pos < length) {
+                ch = template[pos];
 
-    for (i = 0, n = template.length; i < n; ++i) {
-        str = template[i];
-        // concat .c1.c2 into single space separated class string
-        if (str === "." && stack[0] === ".") str = " ";
+                if (ch === "#" || ch === ".") {
+                    ++pos;
 
-        priority = operators[str];
+                    value = readName(false);
 
-        if (priority && (!skip || skip === str)) {
-            // fix for a>`text`+b
-            if (str === "+" && stack[0] === "`") str = ">";
-            // remove redundat ^ operators from the stack when more than one exists
-            if (str === "^" && stack[0] === "^") stack.shift();
+                    if (!value) throw unexpected();
 
-            if (term) {
-                output.push(term);
-                term = "";
+                    if (ch === "#") {
+                        node.id = value;
+                    } else {
+                        node.classes.push(value);
+                    }
+                } else if (ch === "[") {
+                    node.attrs.push(readUntil("]"));
+                } else if (ch === "`" || ch === "{") {
+                    node.text += readUntil(ch === "`" ? "`" : "}");
+                } else {
+                    break;
+                }
             }
 
-            if (str !== "(") {
-                while (operators[stack[0]] > priority) {
-                    output.push(stack.shift());
-                    // for ^ operator stop shifting when the first > is found
-                    if (str === "^" && output[output.length - 1] === ">") break;
+            if (pos === start) throw unexpected();
+            // `text` or {text} without a tag name is a text node
+            node.isText = !node.tag && !node.id && !node.classes.length && !node.attrs.length;
+            // lone {name} is an element when the variable has a value
+            node.isVar = node.isText && reVarTerm.test(template.substring(start, pos));
+
+            return node;
+        },
+        parseExpr = (groupStart) => {
+            var root = {children: []},
+                parents = [],
+                parent = root,
+                node, ch;
+
+            for (;;) {
+                if (template[pos] === "(") {
+                    node = {group: true, children: parseExpr(pos++)};
+                } else {
+                    node = parseElement();
                 }
-            }
 
-            if (str === ")") {
-                stack.shift(); // remove "(" symbol from stack
-            } else if (!skip) {
-                stack.unshift(str);
+                if (template[pos] === "*") {
+                    ++pos;
 
-                if (str === "[") skip = "]";
-                if (str === "`") skip = "`";
-            } else {
-                skip = false;
-            }
-        } else {
-            term += str;
-        }
-    }
+                    node.count = +readWhile(reDigit);
+
+                    if (!node.count) throw unexpected();
+                }
 
-    if (term) output.push(term);
+                parent.children.push(node);
 
-    output = output.concat(stack);
+                ch = template[pos];
 
-    // transform RPN into html nodes
+                if (ch === ">") {
+                    if (node.group) throw unexpected();
+                    // text nodes can't have children so keep the current parent
+                    if (!node.isText) {
+                        parents.push(parent);
+                        parent = node;
+                    }
+                } else if (ch === "^") {
+                    // each ^ climbs one level up but not higher than the root
+                    while (template[pos + 1] === "^") {
+                        parent = parents.pop() || root;
+                        ++pos;
+                    }
 
-    stack = [];
+                    parent = parents.pop() || root;
+                } else if (ch === ")") {
+                    if (groupStart < 0) throw unexpected();
 
-    for (i = 0, n = output.length; i < n; ++i) {
-        str = output[i];
+                    ++pos;
 
-        if (str in operators) {
-            term = stack.shift();
-            node = stack.shift() || [""];
+                    return root.children;
+                } else if (ch !== "+") {
+                    if (pos < length) throw unexpected();
 
-            if (typeof node === "string") node = [ makeTerm(node) ];
+                    if (groupStart >= 0) throw makeParseError(template, groupStart, "Unclosed \"(\"");
 
-            switch(str) {
-            case ".":
-                term = injectTerm(" class=\"" + term + "\"", true);
-                break;
+                    return root.children;
+                }
 
-            case "#":
-                term = injectTerm(" id=\"" + term + "\"", true);
-                break;
+                ++pos;
+            }
+        };
 
-            case "[":
-                term = injectTerm(" " + term.replace(reAttr, normalizeAttrs), true);
-                break;
+    return parseExpr(-1);
+}
 
-            case "`":
-                term = injectTerm(term);
-                break;
+function renderNodes(nodes, parentTag, context, markVars) {
+    return nodes.map((node) => {
+        var result = "", i, n, tag, attrs, ctx;
 
-            case "*":
-                // Array.prototype.map doesn't work properly here
-                node = this.map.call(Array(+term), makeIndexedTerm(toString(node)));
-                break;
+        for (i = 0, n = node.count || 1; i < n; ++i) {
+            // $ is replaced with index of the closest multiplied node
+            ctx = node.count ? {index: i, count: n} : context;
 
-            default:
-                term = typeof term === "string" ? makeTerm(term) : toString(term);
+            if (node.group) {
+                result += renderNodes(node.children, parentTag, ctx, markVars);
+            } else if (node.isVar) {
+                result += markVars("{" + node.text + "}", reAttrChars, "term");
+            } else if (node.isText) {
+                result += markVars(formatIndex(node.text, ctx), reTextChars);
+            } else {
+                tag = formatIndex(node.tag, ctx) || implicitTags.hasOwnProperty(parentTag) && implicitTags[parentTag] || "div";
+                attrs = "";
 
-                if (str === ">") {
-                    term = injectTerm(term);
-                } else {
-                    node.push(term);
-                }
-            }
+                if (node.id) attrs += " id=\"" + node.id + "\"";
+
+                if (node.classes.length) attrs += " class=\"" + node.classes.join(" ") + "\"";
+
+                node.attrs.forEach((attr) => {
+                    attrs += " " + attr.replace(reAttr, (term, name, value, quotes, rawValue) => {
+                        return normalizeAttrs(term, markVars(name, reAttrChars, "name"), value, quotes, rawValue);
+                    });
+                });
 
-            str = typeof term === "function" ? node.map(term) : node;
+                result += "<" + markVars(tag, reAttrChars, "name") + markVars(formatIndex(attrs, ctx), reAttrChars) + ">";
+                result += markVars(formatIndex(node.text, ctx), reTextChars);
+                result += renderNodes(node.children, tag, ctx, markVars);
+
+                if (!emptyTags.hasOwnProperty(tag)) result += "</" + markVars(tag, reAttrChars, "name") + ">";
+            }
         }
 
-        stack.unshift(str);
-    }
+        return result;
+    }).join("");
+}
+
+/**
+ * Compile emmet-like template into a reusable function. The template is parsed
+ * only once and positions of variables are resolved at compile time. Results
+ * for emmet expressions are cached, HTML strings are compiled on every call
+ * @memberOf module:template
+ * @param  {String}  template  emmet-like expression
+ * @return {Function} function that accepts key/value map of variables and returns HTML string
+ * @throws {Error} if the template contains unsupported syntax
+ * @example
+ * var renderItem = DOM.compile("li.item>a[href={url}]>`{title}`");
+ *
+ * renderItem({url: "/home", title: "Home"});
+ * // => <li class="item"><a href="/home">Home</a></li>
+ * DOM.create(renderItem, {url: "/about", title: "About"});
+ */
+DOM.compile = function(template) {
+    if (typeof template !== "string") throw _.makeError("compile", true);
+
+    if (cache.hasOwnProperty(template)) return cache[template];
 
-    output = toString(stack[0]);
+    var isHtml = !template || reHtml.exec(template),
+        slots = [],
+        parts = [],
+        lastIndex = 0,
+        result,
+        // variables are replaced with markers to find their positions in the output
+        markVars = (str, reUnsafe, kind) => str.replace(reVar, (expr, raw, name) => {
+            slots.push({expr: expr, raw: raw, name: name, reUnsafe: reUnsafe, kind: kind});
+
+            return "\x00" + (slots.length - 1) + "\x00";
+        }),
+        // context of variables is unknown in HTML strings so use the strictest escaping
+        output = isHtml ? markVars(template, reAttrChars) : renderNodes(parseTemplate(template), "", null, markVars);
+
+    output.replace(reMarker, (marker, index, offset) => {
+        parts.push(output.substring(lastIndex, offset), slots[index]);
+
+        lastIndex = offset + marker.length;
+    });
+
+    parts.push(output.substr(lastIndex));
+
+    result = (varMap) => {
+        return parts.map((part, index) => index % 2 ? formatVar(part, varMap) : part).join("");
+    };
+    // HTML strings are often unique, so do not cache them
+    return isHtml ? result : cache[template] = result;
+};
+
+/**
+ * Parse emmet-like template into a HTML string. Values of variables are
+ * escaped: text content and attribute values get their own set of entities.
+ * Use {&name} to insert trusted HTML as is. Variables can be parts of tag,
+ * class, id and attribute names when they start a name, follow "-" or precede
+ * other symbols of the name, e.g. a.btn-{type}. Otherwise {text} after a name
+ * is braces text, e.g. a{Click}. Lone {name} is an element with tag name from
+ * the variable or braces text when the variable doesn't exist. Values of
+ * variables in tag and attribute names can contain only letters, digits, _ and -
+ * @memberOf module:template
+ * @param  {String}       template  emmet-like expression
+ * @param  {Object|Array} [varMap]  key/value map of variables
+ * @return {String} HTML string
+ * @throws {Error} if the template contains unsupported syntax or invalid name
+ * @example
+ * DOM.template("a[title={title}]>`{name}`", {title: "\"quoted\"", name: "<b>"});
+ * // => <a title="&quot;quoted&quot;">&lt;b&gt;</a>
+ * DOM.template("p>`{&html}`", {html: "<b>trusted</b>"});
+ * // => <p><b>trusted</b></p>
+ */
+DOM.template = function(template, varMap) {
+    if (typeof template !== "string") throw _.makeError("template", true);
 
-    return varMap ? output : cache[template] = output;
+    return DOM.compile(template)(varMap);
 };
@@ -0,0 +1,295 @@
+import _ from "./utils";
+import DOM from "./dom";
+import $Element from "./element";
+import Promise from "./promise";
+import styleAccessor from "./styleaccessor";
+
+/**
+ * Keyframe animations support
+ * @module animation
+ */
+
+var keyframesId = 0,
+    reCamel = /[A-Z]/g,
+    eventType = _.WEBKIT_PREFIX ? "webkitAnimationEnd" : "animationend",
+    animationProps = ["name", "duration", "timing-function", "delay", "iteration-count", "direction", "fill-mode", "play-state"].map((p) => "animation-" + p),
+    reversedDirections = {normal: "reverse", reverse: "normal", alternate: "alternate-reverse", "alternate-reverse": "alternate"},
+    NATIVE_ANIMATIONS = typeof _.docEl.animate === "function",
+    normalizeKeyframes = (keyframes) => {
+        var frames = [];
+
+        if (Array.isArray(keyframes)) return keyframes;
+        // convert property-indexed form like {opacity: [0, 1]}
+        _.forOwn(keyframes, (values, prop) => {
+            (Array.isArray(values) ? values : [values]).forEach((value, index) => {
+                (frames[index] || (frames[index] = {}))[prop] = value;
+            });
+        });
+
+        return frames;
+    },
+    normalizeOptions = (options) => {
+        if (typeof options === "number") options = {duration: options};
+
+        return {
+            duration: options.duration || 0,
+            delay: options.delay || 0,
+            easing: options.easing || "linear",
+            iterations: options.iterations == null ? 1 : options.iterations,
+            direction: options.direction || "normal",
+            fill: options.fill && options.fill !== "auto" ? options.fill : "none"
+        };
+    },
+    makeKeyframeRules = (keyframes) => {
+        var last = keyframes.length - 1,
+            rules = {};
+
+        keyframes.forEach((frame, index) => {
+            var offset = frame.offset == null ? (last ? index / last : 1) : frame.offset,
+                styles = {};
+
+            _.forOwn(frame, (value, prop) => {
+                if (prop === "easing") {
+                    styles["animation-timing-function"] = value;
+                } else if (prop !== "offset") {
+                    styles[prop.replace(reCamel, (ch) => "-" + ch.toLowerCase())] = value;
+                }
+            });
+
+            rules[Math.round(offset * 10000) / 100 + "%"] = styles;
+        });
+
+        return rules;
+    },
+    makeNativePlayer = (node, keyframes, options) => {
+        var animation = node.animate(keyframes, options),
+            cancelError = () => Error("animation was cancelled");
+
+        return {
+            finished: new Promise((resolve, reject) => {
+                if (animation.finished && typeof animation.finished.then === "function") {
+                    animation.finished.then(() => { resolve() }, () => { reject(cancelError()) });
+                } else {
+                    // early implementations have only events
+                    animation.onfinish = () => { resolve() };
+                    animation.oncancel = () => { reject(cancelError()) };
+                }
+            }),
+            pause: () => { animation.pause() },
+            play: () => { animation.play() },
+            reverse: () => { animation.reverse() },
+            finish: () => { animation.finish() },
+            cancel: () => { animation.cancel() }
+        };
+    },
+    makeKeyframesPlayer = (el, node, keyframes, options) => {
+        var player = {},
+            isDetached = !_.docEl.contains(node),
+            activeDuration = options.duration * options.iterations,
+            keepEndState = options.fill === "forwards" || options.fill === "both",
+            // inline values that are overwritten by the animation
+            initialStyles = animationProps.reduce((memo, prop) => {
+                memo[prop] = styleAccessor.get[prop] ? styleAccessor.get[prop](node.style) : "";
+
+                return memo;
+            }, {}),
+            direction = options.direction,
+            names = [], styles = [],
+            elapsed = 0, resumedAt = Date.now(), delay = options.delay,
+            paused = false, finished = false, restarts = 0,
+            resolveFinished, rejectFinished, endTimer,
+            scheduleEnd = () => {
+                clearTimeout(endTimer);
+                // animationend isn't fired for elements that aren't rendered,
+                // so use a timer with one extra frame as a fallback
+                if (!paused && activeDuration !== Infinity) {
+                    endTimer = setTimeout(player.finish, delay + activeDuration - elapsed + 16);
+                }
+            },
+            setAnimation = (newDelay) => {
+                delay = newDelay;
+                elapsed = 0;
+                resumedAt = Date.now();
+                // changing of the animation name restarts the animation
+                el.style({
+                    "animation-name": names[restarts++ % 2],
+                    "animation-duration": options.duration + "ms",
+                    "animation-timing-function": options.easing,
+                    "animation-delay": newDelay + "ms",
+                    "animation-iteration-count": String(options.iterations === Infinity ? "infinite" : options.iterations),
+                    "animation-direction": direction,
+                    "animation-fill-mode": options.fill,
+                    "animation-play-state": paused ? "paused" : "running"
+                });
+
+                scheduleEnd();
+            },
+            handleAnimationEnd = (e) => {
+                if (e.target === node && names.indexOf(e.animationName) >= 0) player.finish();
+            },
+            cleanup = () => {
+                clearTimeout(endTimer);
+
+                node.removeEventListener(eventType, handleAnimationEnd, false);
+
+                el.style(initialStyles);
+
+                styles.forEach((s) => { s.remove() });
+
+                names = [];
+                styles = [];
+            };
+
+        player.finished = new Promise((resolve, reject) => {
+            resolveFinished = resolve;
+            rejectFinished = reject;
+        });
+
+        player.pause = () => {
+            if (!paused && !finished) {
+                elapsed += Date.now() - resumedAt;
+                paused = true;
+
+                clearTimeout(endTimer);
+
+                el.style("animation-play-state", "paused");
+            }
+        };
+
+        player.play = () => {
+            if (paused && !finished) {
+                resumedAt = Date.now();
+                paused = false;
+
+                el.style("animation-play-state", "running");
+
+                scheduleEnd();
+            }
+        };
+
+        player.reverse = () => {
+            var localTime = elapsed + (paused ? 0 : Date.now() - resumedAt) - delay;
+
+            if (finished) return;
+
+            direction = reversedDirections[direction];
+            // continue from the current point in the opposite direction
+            setAnimation(localTime < 0 ? -localTime : -Math.max(activeDuration - localTime, 0));
+        };
+
+        player.finish = () => {
+            if (finished) return;
+
+            finished = true;
+
+            if (keepEndState && names.length && activeDuration !== Infinity) {
+                // negative delay moves animation into the end state
+                paused = true;
+
+                setAnimation(-activeDuration);
+
+                node.removeEventListener(eventType, handleAnimationEnd, false);
+            } else {
+                cleanup();
+            }
+
+            resolveFinished();
+        };
+
+        player.cancel = () => {
+            // animation with fill mode is applied even when it's finished
+            if (names.length) cleanup();
+
+            if (!finished) {
+                finished = true;
+
+                rejectFinished(Error("animation was cancelled"));
+            }
+        };
+
+        if (_.LEGACY_ANDROID || !_.CSS3_ANIMATIONS || isDetached || !activeDuration) {
+            // no animation support, so jump to the end state
+            if (keepEndState && keyframes.length) {
+                _.forOwn(makeKeyframeRules(keyframes.slice(-1)), (frame) => {
+                    delete frame["animation-timing-function"];
+
+                    el.style(frame);
+                });
+            }
+
+            player.finish();
+        } else {
+            ++keyframesId;
+            // two copies of the keyframes allow to restart the animation
+            names = ["a", "b"].map((suffix) => "better-dom-animation-" + keyframesId + suffix);
+            styles = names.map((name) => DOM.importStyles("@" + _.WEBKIT_PREFIX + "keyframes " + name, makeKeyframeRules(keyframes)));
+
+            node.addEventListener(eventType, handleAnimationEnd, false);
+
+            setAnimation(delay);
+        }
+
+        return player;
+    };
+
+/**
+ * Run keyframe animation. Uses Web Animations API when it's available,
+ * otherwise generates @keyframes rules and waits for animationend
+ * @memberOf module:animation
+ * @param  {Array|Object}  keyframes  array of keyframe objects or property-indexed keyframes
+ * @param  {Number|Object} options    duration in miliseconds or timing options: duration, delay, easing, iterations, direction, fill
+ * @return {Object} animation controls: pause, play, reverse, finish, cancel and the finished
+ * promise that is rejected when the animation is cancelled or replaced
+ * @example
+ * var animation = link.animate([{opacity: 0}, {opacity: 1}], {duration: 300, fill: "forwards"});
+ *
+ * animation.finished.then(() => console.log("done"));
+ * animation.pause();
+ * animation.reverse().play();
+ */
+$Element.prototype.animate = function(keyframes, options) {
+    var optionsType = typeof options,
+        players = [],
+        controls = {},
+        invoke = (method) => () => {
+            players.forEach((player) => { player[method]() });
+
+            return controls;
+        };
+
+    if (!keyframes || typeof keyframes !== "object" || !options || optionsType !== "number" && optionsType !== "object") {
+        throw _.makeError("animate");
+    }
+
+    keyframes = normalizeKeyframes(keyframes);
+    options = normalizeOptions(options);
+
+    this.legacy((node, el) => {
+        var player;
+
+        if (NATIVE_ANIMATIONS) {
+            player = makeNativePlayer(node, keyframes, options);
+        } else {
+            player = el._._animation;
+            // CSS fallback can't combine animations, so the previous one is cancelled
+            if (player) player.cancel();
+
+            player = makeKeyframesPlayer(el, node, keyframes, options);
+
+            el.set("__animation", player);
+        }
+
+        players.push(player);
+    });
+
+    ["pause", "play", "reverse", "finish", "cancel"].forEach((method) => {
+        controls[method] = invoke(method);
+    });
+
+    controls.finished = Promise.all(players.map((player) => player.finished)).then(() => this);
+    // cancelled or replaced animation rejects the promise, so
+    // prevent unhandled rejections when it's not used
+    controls.finished.then(null, () => {});
+
+    return controls;
+};
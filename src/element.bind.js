@@ -0,0 +1,174 @@
+import _ from "./utils";
+import $Element from "./element";
+
+/**
+ * Data binding support
+ * @module bind
+ */
+
+var reTarget = /^(class|style):(.+)$/,
+    observers = [],
+    // IE8 supports Object.defineProperty only for DOM objects
+    ACCESSORS_SUPPORTED = (function() {
+        try {
+            return Object.defineProperty({}, "x", {get: () => true}).x;
+        } catch (err) {
+            return false;
+        }
+    }()),
+    resolvePath = (model, path) => {
+        var keys = path.split("."),
+            prop = keys.pop(),
+            obj = keys.reduce((obj, key) => obj && obj[key], model);
+
+        if (!obj || typeof obj !== "object") throw Error("Unable to resolve model path \"" + path + "\"");
+
+        return [obj, prop];
+    },
+    observe = (obj, prop, callback) => {
+        var observer = observers.filter((o) => o.obj === obj && o.prop === prop)[0],
+            descriptor, value, getValue;
+
+        if (!observer) {
+            descriptor = Object.getOwnPropertyDescriptor(obj, prop);
+            value = obj[prop];
+            getValue = () => descriptor && descriptor.get ? descriptor.get.call(obj) : value;
+            observer = {obj: obj, prop: prop, callbacks: [], descriptor: descriptor};
+            // replace model property with accessors to track changes
+            Object.defineProperty(obj, prop, {
+                get: getValue,
+                set: (newValue) => {
+                    var oldValue = getValue();
+
+                    if (descriptor && descriptor.set) {
+                        descriptor.set.call(obj, newValue);
+                    } else {
+                        value = newValue;
+                    }
+
+                    newValue = getValue();
+
+                    if (newValue !== oldValue) observer.callbacks.forEach((fn) => { fn(newValue, oldValue) });
+                },
+                enumerable: !descriptor || descriptor.enumerable,
+                configurable: true
+            });
+
+            observers.push(observer);
+        }
+
+        observer.callbacks.push(callback);
+
+        return () => {
+            observer.callbacks = observer.callbacks.filter((fn) => fn !== callback);
+
+            if (!observer.callbacks.length) {
+                descriptor = observer.descriptor;
+                // restore original property when the last binding is removed
+                if (!descriptor) {
+                    descriptor = {writable: true, enumerable: true, configurable: true};
+                }
+
+                if (!descriptor.get && !descriptor.set) descriptor.value = obj[prop];
+
+                Object.defineProperty(obj, prop, descriptor);
+
+                observers.splice(observers.indexOf(observer), 1);
+            }
+        };
+    },
+    makeAccessors = (el, name) => {
+        var match = reTarget.exec(name);
+
+        if (!match) return [() => el.get(name), (value) => { el.set(name, value) }];
+
+        if (match[1] === "class") {
+            return [() => el.hasClass(match[2]), (value) => { el[value ? "addClass" : "removeClass"](match[2]) }];
+        }
+
+        return [() => el.style(match[2]), (value) => { el.style(match[2], value) }];
+    };
+
+/**
+ * Bind property/attribute, class or style of the element to a model property.
+ * Model changes are pushed into the element automatically where property
+ * accessors are supported
+ * @memberOf module:bind
+ * @param  {String}  name              property/attribute name, "class:name" or "style:name"
+ * @param  {Object}  model             plain model object
+ * @param  {String}  path              property path in the model like "user.name"
+ * @param  {Object}  [options]         binding options
+ * @param  {Boolean} [options.twoWay]  push changes of the element back into the model
+ * @return {$Element}
+ * @example
+ * var model = {user: {name: "John", active: true}};
+ *
+ * DOM.find("input").bind("value", model, "user.name", {twoWay: true});
+ * DOM.find(".user").bind("class:active", model, "user.active");
+ */
+$Element.prototype.bind = function(name, model, path, options = {}) {
+    if (typeof name !== "string" || !model || typeof model !== "object" || typeof path !== "string") {
+        throw _.makeError("bind");
+    }
+
+    return this.each((el) => {
+        var target = resolvePath(model, path),
+            obj = target[0],
+            prop = target[1],
+            accessors = makeAccessors(el, name),
+            twoWay = options.twoWay && !reTarget.test(name),
+            pushIn = (value) => { accessors[1](value) },
+            pushOut = () => { obj[prop] = accessors[0]() },
+            stopObserving = ACCESSORS_SUPPORTED ? observe(obj, prop, pushIn) : null,
+            bindings = el._._bindings;
+
+        if (twoWay && obj[prop] === undefined) {
+            // initialize empty model property from the element
+            pushOut();
+        } else {
+            pushIn(obj[prop]);
+        }
+
+        if (twoWay) {
+            // watch catches changes made by set, events catch user input
+            el.watch(name, pushOut);
+            el.on("input", pushOut);
+            el.on("change", pushOut);
+        }
+
+        if (!bindings) el.set("__bindings", bindings = []);
+
+        bindings.push({name: name, model: model, unbind: () => {
+            if (stopObserving) stopObserving();
+
+            if (twoWay) {
+                el.unwatch(name, pushOut);
+                el.off("input", pushOut);
+                el.off("change", pushOut);
+            }
+        }});
+    });
+};
+
+/**
+ * Remove data bindings of the element
+ * @memberOf module:bind
+ * @param  {String}  [name]   property/attribute name, all bindings are removed if it's not specified
+ * @param  {Object}  [model]  remove only bindings to the model
+ * @return {$Element}
+ */
+$Element.prototype.unbind = function(name, model) {
+    return this.each((el) => {
+        var bindings = el._._bindings;
+
+        if (bindings) {
+            el.set("__bindings", bindings.filter((binding) => {
+                if (name && binding.name !== name || model && binding.model !== model) return true;
+
+                binding.unbind();
+
+                return false;
+            }));
+        }
+    });
+};
@@ -6,6 +6,64 @@ import $Element from "./element";
  * @module manipulation
  */
 
+function patchElement(node, prevSource, source) {
+    var children = node.childNodes,
+        prevChildren = prevSource.childNodes,
+        newChildren = source.childNodes;
+    // compare with the previous render, so attributes and content
+    // that were changed by extensions or user are kept
+    _.each.call(prevSource.attributes, (attr) => {
+        if (attr.specified && source.getAttribute(attr.name) == null) node.removeAttribute(attr.name);
+    });
+
+    _.each.call(source.attributes, (attr) => {
+        if (attr.specified && prevSource.getAttribute(attr.name) !== attr.value) node.setAttribute(attr.name, attr.value);
+    });
+
+    if (prevSource.innerHTML === source.innerHTML) return;
+
+    if (children.length === prevChildren.length && prevChildren.length === newChildren.length &&
+        _.every.call(prevChildren, (child, index) => child.nodeName === newChildren[index].nodeName && child.nodeName === children[index].nodeName)) {
+        // the same structure, so update existing nodes
+        _.each.call(newChildren, (child, index) => {
+            if (child.nodeType === 1) {
+                patchElement(children[index], prevChildren[index], child);
+            } else if (child.nodeValue !== prevChildren[index].nodeValue) {
+                children[index].nodeValue = child.nodeValue;
+            }
+        });
+    } else {
+        node.innerHTML = source.innerHTML;
+    }
+}
+
+function findStableItems(positions) {
+    // longest increasing subsequence of old positions: these
+    // items keep their order so only the other ones are moved
+    var tails = [], links = [], result = [], lo, hi, mid, index;
+
+    positions.forEach((position, i) => {
+        if (position < 0) return;
+
+        for (lo = 0, hi = tails.length; lo < hi; ) {
+            mid = (lo + hi) >> 1;
+
+            if (positions[tails[mid]] < position) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        links[i] = lo ? tails[lo - 1] : -1;
+        tails[lo] = i;
+    });
+
+    for (index = tails[tails.length - 1]; index >= 0; index = links[index]) result[index] = true;
+
+    return result;
+}
+
 function makeManipulationMethod(methodName, fasterMethodName, standalone, strategy) {
     return function() {
         var args = arguments;
@@ -96,11 +154,119 @@ $Element.prototype.replace = makeManipulationMethod("replace", "", false, (node,
 });
 
 /**
- * Remove current element from DOM
+ * Remove current element from DOM. Event handlers of the element
+ * and its descendants are removed as well
  * @memberOf module:manipulation
  * @return {$Element}
  * @function
  */
 $Element.prototype.remove = makeManipulationMethod("remove", "", false, (node) => {
+    [node].concat(_.slice.call(node.getElementsByTagName("*"), 0)).forEach((node) => {
+        var el = node.__dom__;
+        // only nodes with wrappers can have handlers
+        if (el && el._._handlers.length) el.off();
+    });
+
     node.parentNode.removeChild(node);
 });
+
+/**
+ * Render array of items into children of the current element. Elements are
+ * matched by keys, so only changed items are inserted, moved, updated or removed
+ * and existing $Element wrappers are reused. Updates keep attributes and content
+ * that weren't produced by the template. The method owns all child elements
+ * @memberOf module:manipulation
+ * @param  {Array}           items     array of data items
+ * @param  {Function|String} key       function that returns key of an item or name of the key property
+ * @param  {String|Function} template  EmmetString with item as varMap (primitive item is {0}) or functor(item, index, el) that returns content
+ * @return {$Element}
+ * @example
+ * list.renderList(users, "id", "li.user>`{name}`");
+ * // existing element of an item is passed as the third argument
+ * list.renderList(users, (user) => user.id, (user, index, el) => el || DOM.create("li"));
+ */
+$Element.prototype.renderList = function(items, key, template) {
+    if (!Array.isArray(items) || typeof key !== "function" && typeof key !== "string" ||
+        typeof template !== "function" && typeof template !== "string") {
+        throw _.makeError("renderList");
+    }
+
+    var getKey = typeof key === "function" ? key : (item) => item[key],
+        keys = items.map((item, index) => String(getKey(item, index))),
+        usedKeys = {};
+    // validate keys before changing anything
+    keys.forEach((itemKey) => {
+        if (usedKeys.hasOwnProperty(itemKey)) throw Error("Duplicate key \"" + itemKey + "\" in renderList");
+
+        usedKeys[itemKey] = true;
+    });
+
+    return this.legacy((node, el) => {
+        var entries = el._._list || {},
+            newEntries = {},
+            children = [],
+            position = 0,
+            stable, child, ref, listKey, i;
+
+        _.forOwn(entries, (entry) => { entry.position = -1 });
+        // collect positions of rendered elements, other children are removed
+        for (child = node.firstChild; child; child = ref) {
+            ref = child.nextSibling;
+
+            if (child.nodeType === 1) {
+                listKey = child.__dom__ && child.__dom__._._listKey;
+
+                if (listKey != null && entries[listKey] && entries[listKey].el === child.__dom__) {
+                    entries[listKey].position = position++;
+                } else {
+                    node.removeChild(child);
+                }
+            }
+        }
+
+        items.forEach((item, index) => {
+            var itemKey = keys[index],
+                entry = entries[itemKey],
+                // primitive values are available as {0}
+                varMap = item !== null && typeof item === "object" ? item : [item],
+                result = typeof template === "string" ? DOM.template(template, varMap) : template(item, index, entry && entry.el),
+                created;
+
+            if (!entry || result != null && result !== entry.el && result !== entry.html) {
+                created = typeof result === "string" ? DOM.create(result) : result;
+
+                if (!(created instanceof $Element) || created.length !== 1) throw _.makeError("renderList");
+
+                if (entry && typeof result === "string" && created._._node.nodeName === entry.el._._node.nodeName) {
+                    // update existing element to keep its state
+                    patchElement(entry.el._._node, DOM.create(entry.html)._._node, created._._node);
+
+                    entry.html = result;
+                } else {
+                    entry = {el: created, html: typeof result === "string" ? result : null, position: -1};
+
+                    created.set("__listKey", itemKey);
+                }
+            }
+
+            newEntries[itemKey] = entry;
+            children.push(entry);
+        });
+
+        _.forOwn(entries, (entry, itemKey) => {
+            if (newEntries[itemKey] !== entry && entry.el._._node.parentNode === node) entry.el.remove();
+        });
+
+        stable = findStableItems(children.map((entry) => entry.position));
+        // insert elements from the end using the next item as a reference
+        for (ref = null, i = children.length - 1; i >= 0; --i) {
+            child = children[i].el._._node;
+
+            if (!stable[i]) node.insertBefore(child, ref);
+
+            ref = child;
+        }
+
+        el.set("__list", newEntries);
+    });
+};
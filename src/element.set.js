@@ -2,7 +2,92 @@ import _ from "./utils";
 import $Node from "./node";
 import $Element from "./element";
 
-var hooks = {};
+var hooks = {},
+    NativeObserver = window.MutationObserver || window.WebKitMutationObserver,
+    // names that depend on element content
+    reContentName = /^(innerHTML|textContent|innerText|undefined)$/,
+    checkWatchers = (el) => {
+        var state = el._._watchState,
+            watchers = el._._watchers;
+
+        if (!state) return;
+
+        state.pending = false;
+
+        _.forOwn(state.values, (oldValue, name) => {
+            var key = name === "undefined" ? undefined : name,
+                newValue = el.get(key);
+
+            if (newValue !== oldValue) {
+                state.values[name] = newValue;
+
+                (watchers[name] || []).forEach((w) => { el.dispatch(w, newValue, oldValue, key) });
+            }
+        });
+    },
+    stopNativeWatching = (el, node) => {
+        var state = el._._watchState;
+
+        if (state.observer) state.observer.disconnect();
+
+        node.removeEventListener("input", state.handler, false);
+        node.removeEventListener("change", state.handler, false);
+
+        if (!NativeObserver) node.removeEventListener("DOMAttrModified", state.handler, false);
+
+        el.set("__watchState", null);
+    },
+    updateNativeWatching = (el) => {
+        var node = el._._node,
+            watchers = el._._watchers,
+            state = el._._watchState,
+            names = Object.keys(watchers).filter((name) => name[0] !== "_" && watchers[name].length),
+            hasContent = names.some((name) => reContentName.test(name));
+        // legacy IE is not supported
+        if (!node || !_.DOM2_EVENTS) return;
+
+        if (!names.length) {
+            if (state) stopNativeWatching(el, node);
+
+            return;
+        }
+
+        if (!state) {
+            state = {values: {}, pending: false};
+            // input events don't have any data, so batch checks
+            state.handler = () => {
+                if (!state.pending) {
+                    state.pending = true;
+
+                    _.raf(() => { checkWatchers(el) });
+                }
+            };
+
+            node.addEventListener("input", state.handler, false);
+            node.addEventListener("change", state.handler, false);
+
+            if (NativeObserver) {
+                // records are delivered in batches already
+                state.observer = new NativeObserver(() => { checkWatchers(el) });
+            } else {
+                node.addEventListener("DOMAttrModified", state.handler, false);
+            }
+
+            el.set("__watchState", state);
+        }
+
+        Object.keys(state.values).forEach((name) => {
+            if (names.indexOf(name) < 0) delete state.values[name];
+        });
+
+        names.forEach((name) => {
+            if (!(name in state.values)) state.values[name] = el.get(name === "undefined" ? undefined : name);
+        });
+
+        if (state.observer) {
+            state.observer.observe(node, {attributes: true, childList: hasContent, characterData: hasContent, subtree: hasContent});
+        }
+    };
 
 /**
  * Set property/attribute value by name
@@ -21,6 +106,7 @@ $Element.prototype.set = function(name, value) {
     return this.legacy((node, el, index, ref) => {
         var hook = hooks[name],
             watchers = (el._._watchers || {})[name],
+            state = el._._watchState,
             newValue = value, oldValue;
 
         if (watchers) oldValue = el.get(name);
@@ -48,11 +134,16 @@ $Element.prototype.set = function(name, value) {
         if (watchers && oldValue !== newValue) {
             watchers.forEach((w) => { el.dispatch(w, newValue, oldValue, name) });
         }
+        // prevent duplicated notification from native watching
+        if (state && name in state.values) state.values[name] = el.get(name);
     });
 };
 
 /**
- * Watch for changes of a particular property/attribute
+ * Watch for changes of a particular property/attribute. Besides of changes made
+ * by set native mutations are detected too: attributes are tracked with
+ * MutationObserver, value and checked with input events. Such callbacks are
+ * triggered asynchronously and only once for a batch of changes
  * @param  {String}   name     property/attribute name
  * @param  {Function} callback watch callback the accepts (newValue, oldValue, name)
  * @return {$Element}
@@ -64,6 +155,8 @@ $Element.prototype.watch = function(name, callback) {
         if (!watchers) el.set("__watchers", watchers = {});
 
         (watchers[name] || (watchers[name] = [])).push(callback);
+
+        updateNativeWatching(el);
     });
 };
 
@@ -79,7 +172,11 @@ $Element.prototype.unwatch = function(name, callback) {
     return this.each((el) => {
         var watchers = el._._watchers;
 
-        if (watchers) watchers[name] = (watchers[name] || []).filter(eq);
+        if (watchers) {
+            watchers[name] = (watchers[name] || []).filter(eq);
+
+            updateNativeWatching(el);
+        }
     });
 };
 
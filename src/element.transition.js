@@ -0,0 +1,99 @@
+import _ from "./utils";
+import $Element from "./element";
+import Promise from "./promise";
+import calcDuration from "./calcduration";
+
+/**
+ * Programmatic CSS transitions and animations support
+ * @module transition
+ */
+
+var eventTypes = _.WEBKIT_PREFIX ? ["webkitTransitionEnd", "webkitAnimationEnd"] : ["transitionend", "animationend"],
+    applyTarget = (el, target) => {
+        if (typeof target === "function") {
+            target(el);
+        } else if (typeof target === "string") {
+            el.addClass(target);
+        } else {
+            el.style(target);
+        }
+    },
+    runTransition = (node, el, target) => new Promise((resolve, reject) => {
+        var isDetached = !_.docEl.contains(node),
+            processTransition = () => {
+                var start = Date.now(),
+                    duration, timer,
+                    complete = () => {
+                        clearTimeout(timer);
+
+                        eventTypes.forEach((type) => { node.removeEventListener(type, handleTransitionEnd, false) });
+
+                        resolve();
+                    },
+                    handleTransitionEnd = (e) => {
+                        // wait until the longest transition or animation ends
+                        if (e.target === node && Date.now() - start >= duration - 16) complete();
+                    };
+
+                try {
+                    applyTarget(el, target);
+                } catch (err) {
+                    return reject(err);
+                }
+
+                duration = calcDuration(node);
+
+                if (duration) {
+                    eventTypes.forEach((type) => { node.addEventListener(type, handleTransitionEnd, false) });
+                    // end events aren't fired when a value is not changed,
+                    // so use a timer with one extra frame as a fallback
+                    timer = setTimeout(complete, duration + 16);
+                } else {
+                    resolve();
+                }
+            };
+        // use requestAnimationFrame for the same reasons as in visibility methods
+        if (isDetached) {
+            processTransition();
+        } else {
+            _.raf(processTransition);
+        }
+    });
+
+/**
+ * Apply styles or a class and wait until resulting CSS transitions
+ * and animations end. Calls for the same element are queued, so the
+ * next change starts only when the previous one is done
+ * @memberOf module:transition
+ * @param  {Object|String|Function} target  style properties, class name to add or function that changes the element
+ * @return {Promise} promise that is resolved when transitions are done for all elements
+ * @example
+ * link.transition({opacity: 0});
+ * link.transition("expanded").then(() => link.transition((el) => el.removeClass("expanded")));
+ */
+$Element.prototype.transition = function(target) {
+    var targetType = typeof target,
+        results = [];
+
+    if (!target || targetType !== "object" && targetType !== "string" && targetType !== "function") {
+        throw _.makeError("transition");
+    }
+
+    this.legacy((node, el) => {
+        var last = el._._transition,
+            start = () => runTransition(node, el, target),
+            // failure of a previous change doesn't stop the queue
+            current = last ? last.then(start, start) : start(),
+            cleanup = () => {
+                if (el._._transition === current) el.set("__transition", null);
+            };
+
+        el.set("__transition", current);
+
+        current.then(cleanup, cleanup);
+
+        results.push(current);
+    });
+
+    return Promise.all(results).then(() => this);
+};
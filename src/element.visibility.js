@@ -1,56 +1,84 @@
 import _ from "./utils";
 import $Element from "./element";
 import styleAccessor from "./styleaccessor";
+import Promise from "./promise";
+import calcDuration from "./calcduration";
 
 /**
- * Changing of element visibility support
+ * Changing of element visibility support. When hiding animation is done
+ * element is removed from the flow using one of the strategies: "display",
+ * "absolute", "visibility", "height" or "hidden" (attribute). Strategy can be
+ * specified for a call or for an element in the data-hide-strategy attribute
  * @module visibility
  */
 
-var parseTimeValue = (value) => {
-        var endIndex = value.length - 1;
+var transitionProps = ["timing-function", "property", "duration", "delay"].map((p) => "transition-" + p),
+    eventType = _.WEBKIT_PREFIX ? "webkitTransitionEnd" : "transitionend",
+    // inline styles that are applied when hiding animation is done
+    strategies = {
+        display: {display: "none"},
+        absolute: {position: "absolute"},
+        visibility: {},
+        height: {height: "0", paddingTop: "0", paddingBottom: "0", marginTop: "0", marginBottom: "0", borderTopWidth: "0", borderBottomWidth: "0", overflow: "hidden"},
+        hidden: {}
+    },
+    defaultStrategy = !_.LEGACY_ANDROID && _.CSS3_ANIMATIONS ? "absolute" : "display",
+    saveVisibilityState = (node, el, strategy) => {
+        var styles = {};
+        // element could be hidden already, so keep the initial state
+        if (el.get("__visibility")) return;
+
+        if (!strategies.hasOwnProperty(strategy)) {
+            strategy = node.getAttribute("data-hide-strategy");
+
+            if (!strategies.hasOwnProperty(strategy)) strategy = defaultStrategy;
+        }
+
+        _.forOwn(strategies[strategy], (value, prop) => { styles[prop] = node.style[prop] });
 
-        return value.lastIndexOf("ms") === endIndex - 1 || value.lastIndexOf("s") !== endIndex ?
-            parseFloat(value) : parseFloat(value) * 1000;
+        el.set("__visibility", {strategy: strategy, styles: styles, hidden: node.getAttribute("hidden") != null});
     },
-    calcDuration = (style, animation) => {
-        var prefix = animation ? "animation-" : "transition-",
-            delay = styleAccessor.get[prefix + "delay"](style).split(","),
-            duration = styleAccessor.get[prefix + "duration"](style).split(","),
-            iterationCount = animation ? styleAccessor.get[prefix + "iteration-count"](style).split(",") : [];
-
-        return Math.max.apply(Math, duration.map((value, index) => {
-            var it = iterationCount[index] || "1";
-            // initial or empty value equals to 1
-            return (it === "initial" ? 1 : parseFloat(it)) *
-                parseTimeValue(value) + (parseTimeValue(delay[index]) || 0);
-        }));
+    restoreVisibilityState = (node, el) => {
+        var state = el.get("__visibility");
+
+        if (state) {
+            _.forOwn(state.styles, (value, prop) => { node.style[prop] = value });
+
+            if (state.strategy === "hidden" && !state.hidden) node.removeAttribute("hidden");
+
+            el.set("__visibility", null);
+        }
     },
-    transitionProps = ["timing-function", "property", "duration", "delay"].map((p) => "transition-" + p),
-    eventType = _.WEBKIT_PREFIX ? "webkitTransitionEnd" : "transitionend",
-    absentStrategy = !_.LEGACY_ANDROID && _.CSS3_ANIMATIONS ? ["position", "absolute"] : ["display", "none"],
-    changeVisibility = (el, fn, callback) => () => el.legacy((node, el, index, ref) => {
+    changeVisibility = (el, fn, strategy, callback, task) => () => el.legacy((node, el, index, ref) => {
         var style = node.style,
             compStyle = _.computeStyle(node),
             isHidden = typeof fn === "function" ? fn(node) : fn,
             isDetached = !_.docEl.contains(node),
             completeVisibilityChange = () => {
+                var state = el.get("__visibility");
+
                 if (style.visibility === "hidden") {
-                    style[absentStrategy[0]] = absentStrategy[1];
+                    if (state) {
+                        _.forOwn(strategies[state.strategy], (value, prop) => { style[prop] = value });
+
+                        if (state.strategy === "hidden") node.setAttribute("hidden", "");
+                    }
                 } else {
                     style.pointerEvents = "";
                 }
 
                 if (callback) callback(el, index, ref);
+
+                task.resolvers[index](false);
             },
             processVisibilityChange = () => {
-                var duration, index, transition, absentance;
+                var duration, index, transition;
+                // skip changes that were cancelled before the next frame
+                if (task.cancelled) return;
 
-                // Android Browser is too slow and has a lot of bugs in
-                // the implementation, so disable animations for them
-                if (!_.LEGACY_ANDROID && _.CSS3_ANIMATIONS && !isDetached) {
-                    duration = Math.max(calcDuration(compStyle), calcDuration(compStyle, true));
-                }
+                task.started = true;
+
+                if (!isDetached) duration = calcDuration(node, compStyle);
 
                 if (duration) {
                     // make sure that the visibility property will be changed
@@ -88,14 +116,13 @@ var parseTimeValue = (value) => {
                 }
 
                 if (isHidden) {
-                    absentance = style[absentStrategy[0]];
-                    // store current inline value in a internal property
-                    if (absentance !== "none") el.set("__visibility", absentance);
+                    // store current inline values in a internal property
+                    saveVisibilityState(node, el, strategy);
                     // prevent accidental user actions during animation
                     style.pointerEvents = "none";
                 } else {
-                    // restore initial property value if it exists
-                    style[absentStrategy[0]] = el.get("__visibility") || "";
+                    // restore initial property values if they exist
+                    restoreVisibilityState(node, el);
                 }
 
                 style.visibility = isHidden ? "hidden" : "visible";
@@ -115,57 +142,103 @@ var parseTimeValue = (value) => {
             _.raf(processVisibilityChange);
         }
     }),
-    makeVisibilityMethod = (name, fn) => function(delay, callback) {
-        var len = arguments.length,
-            delayType = typeof delay;
+    makeVisibilityMethod = (name, fn) => function(strategy, delay, callback) {
+        var task = {cancelled: false, started: false, resolvers: []},
+            promises = [],
+            result, promise, timer;
+
+        if (typeof strategy !== "string") {
+            callback = delay;
+            delay = strategy;
+            strategy = null;
+        } else if (!strategies.hasOwnProperty(strategy)) {
+            throw _.makeError(name);
+        }
 
-        if (len === 1 && delayType === "function") {
+        if (typeof delay === "function" && callback === undefined) {
             callback = delay;
             delay = 0;
         }
 
-        if (delay && (delayType !== "number" || delay < 0) ||
+        if (delay && (typeof delay !== "number" || delay < 0) ||
             callback && typeof callback !== "function") {
             throw _.makeError(name);
         }
+        // allow to cancel visibility change until it's applied
+        task.cancel = () => {
+            if (task.started || task.cancelled) return false;
+
+            task.cancelled = true;
+
+            clearTimeout(timer);
+            // cancelled change is not an error, so resolve with the flag
+            task.resolvers.forEach((resolve) => { resolve(true) });
+
+            return true;
+        };
+        this.legacy((node, el, index) => {
+            promises.push(new Promise((resolve) => { task.resolvers[index] = resolve }));
+        });
+
+        promise = Promise.all(promises).then((flags) => flags.some((cancelled) => cancelled));
 
-        callback = changeVisibility(this, fn, callback);
+        callback = changeVisibility(this, fn, strategy, callback, task);
 
         if (delay) {
-            setTimeout(callback, delay);
+            timer = setTimeout(callback, delay);
         } else {
             callback();
         }
+        // result inherits element methods to keep calls chainable
+        result = Object.create(this);
+        result.then = (onFulfilled, onRejected) => promise.then(onFulfilled, onRejected);
+        result.cancel = task.cancel;
 
-        return this;
+        return result;
     };
 
 /**
- * Show element with optional callback and delay
+ * Show element with optional callback and delay. Result is the element itself
+ * extended with the then method, that is resolved when animations are done for
+ * all elements in the collection, and the cancel method that aborts changes
+ * that weren't applied yet. The thenable is resolved with the cancelled flag
  * @memberOf module:visibility
  * @param {Number}   [delay=0]  time in miliseconds to wait
  * @param {Function} [callback] function that executes when animation is done
- * @return {$Element}
+ * @return {$Element} chainable thenable with the cancel method
  * @function
+ * @example
+ * var notices = DOM.findAll(".notice").hide(3000);
+ *
+ * notices.then((cancelled) => {
+ *     if (!cancelled) DOM.find(".form").show();
+ * });
+ * // keep notices visible
+ * notices.cancel();
  */
 $Element.prototype.show = makeVisibilityMethod("show", false);
 
 /**
  * Hide element with optional callback and delay
  * @memberOf module:visibility
+ * @param {String}   [strategy] how to hide element when animation is done
  * @param {Number}   [delay=0]  time in miliseconds to wait
  * @param {Function} [callback] function that executes when animation is done
- * @return {$Element}
+ * @return {$Element} chainable thenable with the cancel method
  * @function
+ * @example
+ * // keep element measurable
+ * DOM.find(".panel").hide("visibility");
  */
 $Element.prototype.hide = makeVisibilityMethod("hide", true);
 
 /**
  * Toggle element visibility with optional callback and delay
  * @memberOf module:visibility
+ * @param {String}   [strategy] how to hide element when animation is done
  * @param {Number}   [delay=0]  time in miliseconds to wait
  * @param {Function} [callback] function that executes when animation is done
- * @return {$Element}
+ * @return {$Element} chainable thenable with the cancel method
  * @function
  */
 $Element.prototype.toggle = makeVisibilityMethod("toggle", function(node) {
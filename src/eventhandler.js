@@ -28,7 +28,7 @@ var defaultArgs = ["target", "currentTarget", "defaultPrevented"],
                 if (typeof fn !== "function" || !currentTarget) return;
 
                 // off callback even if it throws an exception later
-                if (once) el.off(type, callback);
+                if (once) once();
 
                 args = args.map((name) => {
                     if (!_.DOM2_EVENTS) {
@@ -8,55 +8,130 @@ import EventHandler from "./eventhandler";
  * @see https://github.com/chemerisuk/better-dom/wiki/Event-handling
  */
 
+var LISTENER_OPTIONS = (function() {
+        var supported = false;
+        // options argument is supported when the passive property is accessed
+        try {
+            window.addEventListener("test", null, Object.defineProperty({}, "passive", {
+                get: () => { supported = true }
+            }));
+        } catch (err) {
+            // options are not supported
+        }
+
+        return supported;
+    }()),
+    CUSTOM_EVENT_CONSTRUCTOR = (function() {
+        try {
+            return !!new window.CustomEvent("test");
+        } catch (err) {
+            return false;
+        }
+    }()),
+    parseEventType = (type) => {
+        var index = type.indexOf(" "),
+            selector = ~index ? type.substr(index + 1) : undefined,
+            // "click.tooltip.ui" has namespaces "tooltip" and "ui"
+            namespaces = (~index ? type.substr(0, index) : type).split(".");
+
+        return [namespaces.shift(), namespaces, selector];
+    },
+    removeHandlers = (el, node, predicate) => {
+        el.set("__handlers", el._._handlers.filter((handler) => {
+            var type = handler._type || parseEventType(handler.type)[0],
+                target = node;
+
+            if (!predicate(handler)) return true;
+            // signal must not keep references to removed handlers
+            if (handler._signal) handler._signal.removeEventListener("abort", handler._abort, false);
+
+            if (_.DOM2_EVENTS) {
+                target.removeEventListener(type, handler, !!handler.capturing);
+            } else {
+                // IE8 doesn't support onscroll on document level
+                if (el === DOM && type === "scroll") target = window;
+
+                target.detachEvent("on" + type, handler);
+            }
+        }));
+    };
+
 /**
- * Bind a DOM event
+ * Bind a DOM event. Type can contain namespaces like "click.tooltip"
+ * that allow to remove a group of handlers later
  * @memberOf module:events
- * @param  {String|Array}    type event type(s) with optional selector
+ * @param  {String|Array}    type event type(s) with optional namespaces and selector
  * @param  {Function|String} callback event callback or property name (for late binding)
  * @param  {Array}           [props] array of event properties to pass into the callback
+ * @param  {Object}          [options] listener options: passive, capture, once and signal
+ * that removes the listener when it's aborted
  * @return {$Node}
+ * @example
+ * var controller = new AbortController();
+ *
+ * DOM.on("touchmove", onTouchMove, {passive: true, signal: controller.signal});
+ * DOM.on("wheel", onWheel, ["deltaY"], {passive: true, signal: controller.signal});
+ * // remove both listeners
+ * controller.abort();
  */
-$Node.prototype.on = function(type, callback, props, /*INTERNAL*/once) {
+$Node.prototype.on = function(type, callback) {
     var eventType = typeof type,
-        selector, index, args;
+        // props, options and internal once flag follow the callback
+        args = _.slice.call(arguments, 2),
+        props = args.filter(Array.isArray)[0],
+        options = args.filter((arg) => arg && typeof arg === "object" && !Array.isArray(arg))[0] || {},
+        once = options.once || args.indexOf(true) >= 0,
+        signal = options.signal,
+        selector, namespaces;
 
     if (eventType === "string") {
-        index = type.indexOf(" ");
-
-        if (~index) {
-            selector = type.substr(index + 1);
-            type = type.substr(0, index);
-        }
-
-        if (!Array.isArray(props)) {
-            once = props;
-            props = undefined;
-        }
+        args = parseEventType(type);
+        type = args[0];
+        namespaces = args[1];
+        selector = args[2];
     } else if (eventType === "object") {
-        if (Array.isArray(type)) {
-            args = _.slice.call(arguments, 1);
+        args = _.slice.call(arguments, 1);
 
+        if (Array.isArray(type)) {
             type.forEach((name) => { this.on.apply(this, [name].concat(args)) });
         } else {
-            _.forOwn(type, (value, name) => { this.on(name, value) });
+            // values are callbacks, so the rest of arguments is props and options
+            _.forOwn(type, (value, name) => { this.on.apply(this, [name, value].concat(args)) });
         }
 
         return this;
     } else {
         throw _.makeError("on");
     }
+    // aborted signal doesn't allow to add new listeners
+    if (signal && signal.aborted) return this;
 
     return this.legacy((node, el) => {
-        var handler = EventHandler(type, selector, callback, props, el, node, once);
+        var handler = EventHandler(type, selector, callback, props, el, node, once && (() => {
+                // remove exactly this handler
+                removeHandlers(el, node, (h) => h === handler);
+            }));
+
+        if (options.capture) handler.capturing = true;
 
         if (_.DOM2_EVENTS) {
-            node.addEventListener(handler._type || type, handler, !!handler.capturing);
+            node.addEventListener(handler._type || type, handler, LISTENER_OPTIONS && options.passive ?
+                {capture: !!handler.capturing, passive: true} : !!handler.capturing);
         } else {
             // IE8 doesn't support onscroll on document level
             if (el === DOM && type === "scroll") node = window;
 
             node.attachEvent("on" + (handler._type || type), handler);
         }
+
+        if (signal) {
+            handler._signal = signal;
+            handler._abort = () => { removeHandlers(el, node, (h) => h === handler) };
+
+            signal.addEventListener("abort", handler._abort, LISTENER_OPTIONS ? {once: true} : false);
+        }
+
+        handler.namespaces = namespaces;
         // store event entry
         el._._handlers.push(handler);
     });
@@ -65,9 +140,10 @@ $Node.prototype.on = function(type, callback, props, /*INTERNAL*/once) {
 /**
  * Bind a DOM event but fire once before being removed
  * @memberOf module:events
- * @param  {String|Array}    type event type(s) with optional selector
+ * @param  {String|Array}    type event type(s) with optional namespaces and selector
  * @param  {Function|String} callback event callback or property name (for late binding)
  * @param  {Array}           [props] array of event properties to pass into the callback
+ * @param  {Object}          [options] listener options
  * @return {$Node}
  */
 $Node.prototype.once = function(...args) {
@@ -75,43 +151,69 @@ $Node.prototype.once = function(...args) {
 };
 
 /**
- * Unbind an event from the element
+ * Unbind an event from the element. Type can contain namespaces
+ * like "click.tooltip", use ".tooltip" to remove handlers of any type.
+ * Without selector handlers of all selectors are removed, use "*" as
+ * type to remove handlers by selector. Call without arguments to
+ * remove all handlers
  * @memberOf module:events
- * @param  {String}          type type of event
+ * @param  {String}          [type] type of event with optional namespaces and selector
  * @param  {Function|String} [callback] event handler
  * @return {$Node}
+ * @example
+ * link.on("click.tooltip", showTooltip);
+ * link.on("mouseleave.tooltip", hideTooltip);
+ * // remove both handlers
+ * link.off(".tooltip");
+ * // remove delegated handlers of any type
+ * list.off("* li");
  */
 $Node.prototype.off = function(type, callback) {
-    if (typeof type !== "string") throw _.makeError("off");
+    if (type !== undefined && typeof type !== "string") throw _.makeError("off");
+
+    var args = parseEventType(type || ""),
+        namespaces = args[1],
+        selector = args[2];
+
+    type = args[0] === "*" ? "" : args[0];
 
     return this.legacy((node, el) => {
-        el.set("__handlers", el._._handlers.filter((handler) => {
-            if (type !== handler.type || callback && callback !== handler.callback) return true;
+        removeHandlers(el, node, (handler) => {
+            var handlerArgs = parseEventType(handler.type);
 
-            type = handler._type || handler.type;
+            // internal code can pass exact handler to skip identical callbacks of other owners
+            if (type && type !== handlerArgs[0] || callback && callback !== handler.callback && callback !== handler) return false;
 
-            if (_.DOM2_EVENTS) {
-                node.removeEventListener(type, handler, !!handler.capturing);
-            } else {
-                // IE8 doesn't support onscroll on document level
-                if (el === DOM && type === "scroll") node = window;
+            if (selector !== undefined && selector !== handlerArgs[2]) return false;
 
-                node.detachEvent("on" + type, handler);
-            }
-        }));
+            return namespaces.every((ns) => handler.namespaces.indexOf(ns) >= 0);
+        });
     });
 };
 
 /**
- * Triggers an event of specific type with optional extra arguments
+ * Triggers an event of specific type with optional extra arguments.
+ * Event is a CustomEvent with the detail property: the argument itself
+ * if there is only one, otherwise an array of arguments
  * @memberOf module:events
- * @param  {String}  type  type of event
+ * @param  {String|Object} type  type of event or object with type, detail, bubbles, cancelable and composed properties
  * @param  {...Object}     [args]  extra arguments to pass into each event handler
  * @return {Boolean} true if default action wasn't prevented
+ * @example
+ * // native listeners receive {id: 1} in e.detail
+ * list.fire("item:select", {id: 1});
+ * list.fire({type: "item:select", bubbles: false}, {id: 1});
  */
 $Node.prototype.fire = function(type, ...args) {
     var eventType = typeof type,
-        handler = {}, hook;
+        options = {},
+        handler = {}, hook, detail;
+
+    if (type && eventType === "object") {
+        options = type;
+        type = options.type;
+        eventType = typeof type;
+    }
 
     if (eventType === "string") {
         if (hook = EventHandler.hooks[type]) handler = hook(handler) || handler;
@@ -121,18 +223,28 @@ $Node.prototype.fire = function(type, ...args) {
         throw _.makeError("fire");
     }
 
+    detail = "detail" in options ? options.detail : (args.length > 1 ? args : args[0]);
+
     return this.every((el) => {
         var node = el._._node,
+            bubbles = options.bubbles !== false,
+            cancelable = options.cancelable !== false,
             e, canContinue;
 
         if (_.DOM2_EVENTS) {
-            e = document.createEvent("HTMLEvents");
-            e.initEvent(eventType, true, true);
+            if (CUSTOM_EVENT_CONSTRUCTOR) {
+                e = new window.CustomEvent(eventType, {detail: detail, bubbles: bubbles, cancelable: cancelable, composed: !!options.composed});
+            } else {
+                e = document.createEvent("CustomEvent");
+                e.initCustomEvent(eventType, bubbles, cancelable, detail);
+            }
+            // handlers registered with on receive arguments as they are
             e._args = args;
 
             canContinue = node.dispatchEvent(e);
         } else {
             e = document.createEventObject();
+            e.detail = detail;
             e._args = args;
             // handle custom events for legacy IE
             if (!("on" + eventType in node)) eventType = "dataavailable";
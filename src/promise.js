@@ -0,0 +1,125 @@
+/*
+ * Helper for async results. Uses native promises where they're available
+ */
+var PENDING = 0,
+    FULFILLED = 1,
+    REJECTED = 2,
+    isThenable = (value) => !!value && (typeof value === "object" || typeof value === "function");
+
+function SimplePromise(executor) {
+    var state = PENDING,
+        handlers = [],
+        locked = false,
+        value,
+        flush = () => {
+            setTimeout(() => {
+                var list = handlers;
+
+                handlers = [];
+
+                list.forEach((handler) => { handler[state](value) });
+            }, 0);
+        },
+        settle = (newState, result) => {
+            state = newState;
+            value = result;
+
+            flush();
+        },
+        adopt = (result) => {
+            var called = false,
+                then;
+
+            try {
+                then = isThenable(result) && result.then;
+
+                if (typeof then === "function") {
+                    // follow the state of another thenable
+                    then.call(result, (x) => {
+                        if (!called) {
+                            called = true;
+
+                            adopt(x);
+                        }
+                    }, (reason) => {
+                        if (!called) {
+                            called = true;
+
+                            settle(REJECTED, reason);
+                        }
+                    });
+                } else {
+                    settle(FULFILLED, result);
+                }
+            } catch (err) {
+                if (!called) settle(REJECTED, err);
+            }
+        },
+        resolve = (result) => {
+            if (!locked) {
+                locked = true;
+
+                adopt(result);
+            }
+        },
+        reject = (reason) => {
+            if (!locked) {
+                locked = true;
+
+                settle(REJECTED, reason);
+            }
+        },
+        makeHandler = (callback, resolve, reject, fallback) => (value) => {
+            if (typeof callback === "function") {
+                try {
+                    resolve(callback(value));
+                } catch (err) {
+                    reject(err);
+                }
+            } else {
+                fallback(value);
+            }
+        };
+
+    this.then = (onFulfilled, onRejected) => new SimplePromise((resolve, reject) => {
+        handlers.push([null,
+            makeHandler(onFulfilled, resolve, reject, resolve),
+            makeHandler(onRejected, resolve, reject, reject)
+        ]);
+
+        if (state !== PENDING) flush();
+    });
+
+    try {
+        executor(resolve, reject);
+    } catch (err) {
+        reject(err);
+    }
+}
+
+SimplePromise.prototype["catch"] = function(onRejected) {
+    return this.then(null, onRejected);
+};
+
+SimplePromise.resolve = (value) => {
+    return value instanceof SimplePromise ? value : new SimplePromise((resolve) => { resolve(value) });
+};
+
+SimplePromise.reject = (reason) => new SimplePromise((resolve, reject) => { reject(reason) });
+
+SimplePromise.all = (values) => new SimplePromise((resolve, reject) => {
+    var results = [],
+        count = values.length;
+
+    if (!count) resolve(results);
+
+    values.forEach((value, index) => {
+        SimplePromise.resolve(value).then((result) => {
+            results[index] = result;
+
+            if (!--count) resolve(results);
+        }, reject);
+    });
+});
+
+export default window.Promise || SimplePromise;
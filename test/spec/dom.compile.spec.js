@@ -0,0 +1,32 @@
+describe("DOM.compile", function() {
+    "use strict";
+
+    it("should return reusable render function", function() {
+        var render = DOM.compile("ul>li.item$*2>a[href={url}]>`{title}`");
+
+        expect(render({url: "/a", title: "A"})).toBe("<ul><li class=\"item1\"><a href=\"/a\">A</a></li><li class=\"item2\"><a href=\"/a\">A</a></li></ul>");
+        expect(render({url: "/b", title: "<B>"})).toBe("<ul><li class=\"item1\"><a href=\"/b\">&lt;B&gt;</a></li><li class=\"item2\"><a href=\"/b\">&lt;B&gt;</a></li></ul>");
+        expect(render()).toBe("<ul><li class=\"item1\"><a href=\"{url}\">{title}</a></li><li class=\"item2\"><a href=\"{url}\">{title}</a></li></ul>");
+    });
+
+    it("should compile template only once", function() {
+        expect(DOM.compile("p>`{a}`+`{&a}`")).toBe(DOM.compile("p>`{a}`+`{&a}`"));
+        expect(DOM.compile("p>`{a}`+`{&a}`")({a: "<i>"})).toBe("<p>&lt;i&gt;<i></p>");
+    });
+
+    it("should compile names of Object.prototype properties", function() {
+        expect(DOM.compile("toString")()).toBe("<toString></toString>");
+        expect(DOM.template("constructor")).toBe("<constructor></constructor>");
+    });
+
+    it("should compile HTML strings without caching", function() {
+        expect(DOM.compile("<a>{0}</a>")(["\""])).toBe("<a>&quot;</a>");
+        expect(DOM.compile("<a>{0}</a>")).not.toBe(DOM.compile("<a>{0}</a>"));
+    });
+
+    it("should throw error on invalid args", function() {
+        expect(function() { DOM.compile(); }).toThrow();
+        expect(function() { DOM.compile({}); }).toThrow();
+        expect(function() { DOM.compile("a>>b"); }).toThrow();
+    });
+});
@@ -53,6 +53,29 @@ describe("create", function() {
         expect(el[1]).toHaveTag("b");
     });
 
+    it("should escape variables", function() {
+        var value = "\"><img src=x onerror=alert(1)>",
+            link = DOM.create("a[title={value}]>`{value}`", {value: value});
+
+        expect(link).toHaveTag("a");
+        expect(link.get("title")).toBe(value);
+        expect(link.get("textContent")).toBe(value);
+        expect(link.children().length).toBe(0);
+
+        link = DOM.create("a>`{&value}`", {value: "<b></b>"});
+
+        expect(link.child(0)).toHaveTag("b");
+    });
+
+    it("should accept compiled templates", function() {
+        var render = DOM.compile("a#{id}>`{text}`"),
+            link = DOM.create(render, {id: "create1", text: "<b>"});
+
+        expect(link).toHaveTag("a");
+        expect(link.get("id")).toBe("create1");
+        expect(link.get("textContent")).toBe("<b>");
+    });
+
     it("should throw error if argument is invalid", function() {
         expect(function() { DOM.create(2); }).toThrow();
         expect(function() { DOM.create(null); }).toThrow();
@@ -96,6 +96,56 @@ describe("extend", function() {
         });
     });
 
+    if (window.MutationObserver || window.WebKitMutationObserver) {
+        it("should capture hidden elements", function(done) {
+            DOM.extend("." + randomClass, {constructor: callback.and.callFake(function() {
+                expect(this).toHaveTag("b");
+
+                done();
+            })});
+
+            jasmine.sandbox.set("<div style='display:none'><b class='" + randomClass + "'></b></div>");
+        });
+
+        it("should not emulate animationstart events", function(done) {
+            var spy = jasmine.createSpy("animationstart");
+
+            document.addEventListener("animationstart", spy, false);
+
+            DOM.extend("." + randomClass, {constructor: callback.and.callFake(function() {
+                setTimeout(function() {
+                    document.removeEventListener("animationstart", spy, false);
+
+                    expect(spy).not.toHaveBeenCalled();
+
+                    done();
+                }, 0);
+            })});
+
+            jasmine.sandbox.set("<b class='" + randomClass + "'></b>");
+        });
+
+        it("should capture elements when an attribute from selector changes", function(done) {
+            var link;
+
+            jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+
+            link = DOM.find("." + randomClass);
+
+            DOM.extend("." + randomClass + "[data-" + randomClass + "=on]", {constructor: callback.and.callFake(function() {
+                expect(this).toBe(link);
+
+                done();
+            })});
+
+            setTimeout(function() {
+                expect(callback).not.toHaveBeenCalled();
+
+                link.set("data-" + randomClass, "on");
+            }, 50);
+        });
+    }
+
     it("should not match parent elements", function(done) {
         var spy1 = jasmine.createSpy("spy1"),
             spy2 = jasmine.createSpy("spy2"),
@@ -147,10 +197,341 @@ describe("extend", function() {
         DOM.extend("." + randomClass, {constructor: callback});
     });
 
+    it("should execute destructor when element is detached", function(done) {
+        var spy = jasmine.createSpy("dtr"),
+            link;
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+
+        link = DOM.find("." + randomClass);
+
+        callback.and.callFake(function() {
+            link.remove();
+        });
+
+        spy.and.callFake(function() {
+            expect(this).toBe(link);
+            expect(callback.calls.count()).toBe(1);
+
+            done();
+        });
+
+        DOM.extend("." + randomClass, {constructor: callback, destructor: spy});
+    });
+
+    it("should remove handlers and watchers when element doesn't match anymore", function(done) {
+        var clickSpy = jasmine.createSpy("click"),
+            globalSpy = jasmine.createSpy("global"),
+            watchSpy = jasmine.createSpy("watch"),
+            link;
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+
+        link = DOM.find("." + randomClass);
+
+        callback.and.callFake(function() {
+            this.on("click", clickSpy);
+            this.watch("title", watchSpy);
+
+            DOM.on("click", globalSpy);
+
+            this.removeClass(randomClass);
+        });
+
+        DOM.extend("." + randomClass, {
+            constructor: callback,
+            destructor: function() {
+                setTimeout(function() {
+                    link.fire("click");
+                    link.set("title", "test");
+
+                    expect(clickSpy).not.toHaveBeenCalled();
+                    expect(globalSpy).not.toHaveBeenCalled();
+                    expect(watchSpy).not.toHaveBeenCalled();
+
+                    done();
+                }, 0);
+            }
+        });
+    });
+
+    it("should keep identical handlers registered for other elements", function(done) {
+        var sharedSpy = jasmine.createSpy("shared"),
+            links;
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a><a class='" + randomClass + "'></a>");
+
+        links = DOM.findAll("." + randomClass);
+
+        callback.and.callFake(function() {
+            DOM.on("keydown", sharedSpy);
+
+            if (callback.calls.count() === 2) {
+                links[0].removeClass(randomClass);
+            }
+        });
+
+        DOM.extend("." + randomClass, {
+            constructor: callback,
+            destructor: function() {
+                if (this !== links[0]) return;
+
+                setTimeout(function() {
+                    DOM.fire("keydown");
+
+                    expect(sharedSpy.calls.count()).toBe(1);
+
+                    links[1].removeClass(randomClass);
+
+                    setTimeout(function() {
+                        DOM.fire("keydown");
+
+                        expect(sharedSpy.calls.count()).toBe(1);
+
+                        done();
+                    }, 50);
+                }, 0);
+            }
+        });
+    });
+
+    it("should not capture elements after dispose", function(done) {
+        var handle = DOM.extend("." + randomClass, {constructor: callback});
+
+        handle.dispose();
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+
+        setTimeout(function() {
+            expect(callback).not.toHaveBeenCalled();
+
+            done();
+        }, 50);
+    });
+
+    it("should revert mixins on dispose(true)", function(done) {
+        var spy = jasmine.createSpy("dtr"),
+            handle = DOM.extend("." + randomClass, {constructor: callback, destructor: spy, test: 555, attributes: {"data-size": "number"}});
+
+        callback.and.callFake(function() {
+            var link = this;
+
+            expect(link.test).toBe(555);
+            expect(link.size).toBeNull();
+
+            setTimeout(function() {
+                handle.dispose(true);
+
+                expect(spy).toHaveBeenCalled();
+                expect(link.test).toBeUndefined();
+                expect("size" in link).toBe(false);
+
+                done();
+            }, 0);
+        });
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+    });
+
+    it("should support inheritance of named extensions", function(done) {
+        var baseName = randomClass + "base";
+
+        DOM.extend("." + baseName, {name: baseName, test: function() { return "base" }, foo: 1});
+        DOM.extend("." + randomClass, {
+            inherits: baseName,
+            constructor: function() {
+                expect(this.test()).toBe("base+child");
+                expect(this.foo).toBe(1);
+
+                done();
+            },
+            test: function() {
+                return this._super() + "+child";
+            }
+        });
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+    });
+
+    it("should keep overridden methods when parent matches the same element", function() {
+        var baseName = randomClass + "base";
+
+        DOM.extend("." + baseName, {name: baseName, test: function() { return "base" }});
+        DOM.extend("." + randomClass, {inherits: baseName, test: function() { return "child" }});
+
+        expect(DOM.mock("a." + randomClass + "." + baseName).test()).toBe("child");
+    });
+
+    it("should throw error on conflicting extensions", function() {
+        DOM.extend("." + randomClass, {test: function() {}});
+        DOM.extend("." + randomClass, {test: function() {}});
+
+        expect(function() { DOM.mock("a." + randomClass) }).toThrow();
+    });
+
+    it("should extend other elements when mixins conflict", function() {
+        var otherClass = randomClass + "x",
+            onerror = window.onerror,
+            errorSpy = jasmine.createSpy("onerror").and.returnValue(true);
+
+        jasmine.sandbox.set("<a class='" + randomClass + " " + otherClass + "'></a><a class='" + otherClass + "'></a><a class='" + otherClass + "'></a>");
+        // conflict is reported via a safe call
+        window.onerror = errorSpy;
+
+        DOM.extend("." + randomClass, {test: function() {}});
+        DOM.extend("." + otherClass, {test: function() {}, constructor: callback});
+
+        window.onerror = onerror;
+
+        expect(errorSpy).toHaveBeenCalled();
+        expect(callback.calls.count()).toBe(2);
+    });
+
+    it("should throw error if parent extension is not declared", function() {
+        expect(function() { DOM.extend("." + randomClass, {inherits: randomClass}) }).toThrow();
+    });
+
+    it("should parse declared attributes", function(done) {
+        var spy = jasmine.createSpy("onSizeChanged");
+
+        DOM.extend("." + randomClass, {
+            attributes: {
+                "data-size": {type: "number", "default": 5},
+                "data-max-size": {type: "number", "default": 5},
+                "data-open": "boolean",
+                "data-options": "json",
+                "title": "string"
+            },
+            constructor: function() {
+                expect(this.size).toBe(10);
+                expect(this.maxSize).toBe(5);
+                expect(this.open).toBe(true);
+                expect(this.options).toEqual({a: 1});
+                expect(this.title).toBeNull();
+
+                this.set("data-size", 20);
+
+                expect(spy).toHaveBeenCalledWith(20, 10);
+                expect(this.size).toBe(20);
+
+                done();
+            },
+            onSizeChanged: spy
+        });
+
+        jasmine.sandbox.set("<a class='" + randomClass + "' data-size='10' data-open data-options='{\"a\":1}'></a>");
+    });
+
+    it("should throw error if attribute type is invalid", function() {
+        expect(function() { DOM.extend("." + randomClass, {attributes: {"data-a": "date"}}) }).toThrow();
+        expect(function() { DOM.extend("." + randomClass, {attributes: {"data-toggle": "boolean"}}) }).toThrow();
+        expect(function() { DOM.extend("." + randomClass, {attributes: {"data-find": "string"}}) }).toThrow();
+    });
+
+    it("should load mixins lazily when the first element appears", function(done) {
+        var loader = jasmine.createSpy("loader"),
+            ids = [];
+
+        DOM.extend("." + randomClass, loader);
+
+        loader.and.callFake(function(resolve) {
+            // add one more element before the loader resolves mixins
+            DOM.find("#lazy2").before("a#lazy1." + randomClass);
+
+            setTimeout(function() {
+                resolve({constructor: function() {
+                    ids.push(this.get("id"));
+
+                    if (ids.length === 2) {
+                        expect(ids).toEqual(["lazy1", "lazy2"]);
+                        expect(loader.calls.count()).toBe(1);
+
+                        done();
+                    }
+                }});
+            }, 50);
+        });
+
+        setTimeout(function() {
+            expect(loader).not.toHaveBeenCalled();
+
+            jasmine.sandbox.set("<b id='lazy2' class='" + randomClass + "'></b>");
+        }, 50);
+    });
+
+    it("should accept thenable from the loader", function(done) {
+        DOM.extend("." + randomClass, function() {
+            return {then: function(resolve) { resolve({constructor: done}) }};
+        });
+
+        jasmine.sandbox.set("<a class='" + randomClass + "'></a>");
+    });
+
+    it("should retry loading when the thenable is rejected", function(done) {
+        var onerror = window.onerror,
+            errorSpy = jasmine.createSpy("onerror").and.returnValue(true),
+            loader = jasmine.createSpy("loader").and.returnValue({then: function(resolve, reject) {
+                window.onerror = errorSpy;
+
+                reject(Error("load failed"));
+
+                window.onerror = onerror;
+
+                expect(errorSpy).toHaveBeenCalled();
+                // next element retries loading
+                loader.and.returnValue({then: function(resolve) { resolve({constructor: callback}) }});
+
+                DOM.find("#retry1").after("b#retry2." + randomClass);
+            }});
+
+        callback.and.callFake(function() {
+            expect(loader.calls.count()).toBe(2);
+
+            done();
+        });
+
+        DOM.extend("." + randomClass, loader);
+
+        jasmine.sandbox.set("<a id='retry1' class='" + randomClass + "'></a>");
+    });
+
+    it("should retry loading when the loader throws", function(done) {
+        var onerror = window.onerror,
+            errorSpy = jasmine.createSpy("onerror").and.returnValue(true),
+            loader = jasmine.createSpy("loader").and.callFake(function() {
+                loader.and.returnValue({then: function(resolve) { resolve({constructor: callback}) }});
+
+                throw Error("load failed");
+            });
+
+        callback.and.callFake(function() {
+            expect(errorSpy).toHaveBeenCalled();
+            expect(loader.calls.count()).toBe(2);
+
+            done();
+        });
+
+        DOM.extend("." + randomClass, loader);
+
+        window.onerror = errorSpy;
+
+        jasmine.sandbox.set("<a id='retry3' class='" + randomClass + "'></a>");
+
+        setTimeout(function() {
+            window.onerror = onerror;
+
+            DOM.find("#retry3").after("b." + randomClass);
+        }, 50);
+    });
+
     it("should allow extending the element prototype", function() {
-        DOM.extend("*", { test: 555 });
+        var handle = DOM.extend("*", { test: 555 });
 
         expect(DOM.create("a").test).toBe(555);
+
+        handle.dispose(true);
+
+        expect(DOM.create("a").test).toBeUndefined();
     });
 
     it("should not expose removable methods", function(done) {
@@ -221,6 +602,7 @@ describe("extend", function() {
 
     it("should throw error if arguments are invalid", function() {
         expect(function() { DOM.extend(1); }).toThrow();
+        expect(function() { DOM.extend("*", function() {}); }).toThrow();
         // expect(function() { DOM.extend(" * ", function() {}); }).toThrow();
         // expect(function() { DOM.extend("div > *", function() {}); }).toThrow();
         //expect(function() { DOM.extend("*", {constructor: function() {}}); }).toThrow();
@@ -0,0 +1,104 @@
+describe("gestures", function() {
+    "use strict";
+
+    var list, node, spy,
+        simulate = function(type, x, y) {
+            var e = document.createEvent("MouseEvents");
+
+            e.initMouseEvent(type, true, true, window, 0, 0, 0, x, y, false, false, false, false, 0, null);
+
+            node.dispatchEvent(e);
+        };
+
+    beforeEach(function() {
+        jasmine.sandbox.set("<ul id='gestures'><li class='card' id='card'></li></ul>");
+
+        list = DOM.find("#gestures");
+        node = document.getElementById("card");
+        spy = jasmine.createSpy("gesture");
+    });
+
+    afterEach(function() {
+        list.off();
+    });
+
+    it("should trigger tap and doubletap", function() {
+        var doubleSpy = jasmine.createSpy("doubletap");
+
+        list.on("tap", spy);
+        list.on("doubletap", doubleSpy);
+
+        simulate("mousedown", 10, 10);
+        simulate("mouseup", 12, 10);
+
+        expect(spy.calls.count()).toBe(1);
+        expect(doubleSpy).not.toHaveBeenCalled();
+
+        simulate("mousedown", 10, 10);
+        simulate("mouseup", 10, 10);
+
+        expect(spy.calls.count()).toBe(2);
+        expect(doubleSpy).toHaveBeenCalled();
+    });
+
+    it("should support delegation and props", function() {
+        list.on("swipeleft .card", spy, ["currentTarget", "detail"]);
+
+        simulate("mousedown", 100, 10);
+        simulate("mousemove", 60, 12);
+        simulate("mouseup", 40, 12);
+
+        expect(spy).toHaveBeenCalled();
+        expect(spy.calls.mostRecent().args[0]).toBe(DOM.find("#card"));
+        expect(spy.calls.mostRecent().args[1].deltaX).toBe(-60);
+    });
+
+    it("should detect swipe direction", function() {
+        var swipeSpy = jasmine.createSpy("swipe"),
+            leftSpy = jasmine.createSpy("swipeleft");
+
+        list.on("swipe", swipeSpy).on("swipedown", spy).on("swipeleft", leftSpy);
+
+        simulate("mousedown", 10, 10);
+        simulate("mousemove", 10, 60);
+        simulate("mouseup", 12, 60);
+
+        expect(swipeSpy).toHaveBeenCalled();
+        expect(spy).toHaveBeenCalled();
+        expect(leftSpy).not.toHaveBeenCalled();
+    });
+
+    it("should trigger longpress after delay", function(done) {
+        var tapSpy = jasmine.createSpy("tap");
+
+        DOM.gestures.longPressDelay = 20;
+
+        list.on("longpress", spy).on("tap", tapSpy);
+
+        simulate("mousedown", 10, 10);
+
+        setTimeout(function() {
+            simulate("mouseup", 10, 10);
+
+            DOM.gestures.longPressDelay = 500;
+
+            expect(spy).toHaveBeenCalled();
+            expect(tapSpy).not.toHaveBeenCalled();
+
+            done();
+        }, 50);
+    });
+
+    it("should respect configurable thresholds", function() {
+        DOM.gestures.swipeDistance = 100;
+
+        list.on("swipe", spy);
+
+        simulate("mousedown", 10, 10);
+        simulate("mouseup", 60, 10);
+
+        DOM.gestures.swipeDistance = 30;
+
+        expect(spy).not.toHaveBeenCalled();
+    });
+});
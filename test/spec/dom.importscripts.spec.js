@@ -54,6 +54,91 @@ describe("DOM.importScripts", function() {
         expect(bodySpy.calls.count()).toBe(4);
     });
 
+    it("should return promise that is resolved when scripts are loaded", function(done) {
+        bodySpy.and.callFake(function(el) {
+            // trigger fake onload
+            el.onload();
+        });
+
+        DOM.importScripts("http://test/promise1", "http://test/promise2").then(function() {
+            expect(bodySpy.calls.count()).toBe(2);
+
+            done();
+        });
+    });
+
+    it("should reject promise if a script can't be loaded", function(done) {
+        var spy = jasmine.createSpy("callback");
+
+        bodySpy.and.callFake(function(el) {
+            // trigger fake onerror
+            el.onerror();
+        });
+
+        DOM.importScripts("http://test/error", spy).then(null, function(err) {
+            expect(err).toBeDefined();
+            expect(spy).not.toHaveBeenCalled();
+
+            done();
+        });
+    });
+
+    it("should reject promise on timeout", function(done) {
+        DOM.importScripts("http://test/timeout", {timeout: 10}).then(null, done);
+    });
+
+    it("should use default timeout", function() {
+        spyOn(window, "setTimeout");
+
+        DOM.importScripts("http://test/default-timeout");
+
+        expect(window.setTimeout).toHaveBeenCalledWith(jasmine.any(Function), 15000);
+    });
+
+    it("should skip already loaded scripts", function() {
+        var spy = jasmine.createSpy("callback");
+
+        bodySpy.and.callFake(function(el) {
+            // trigger fake onload
+            el.onload();
+        });
+
+        DOM.importScripts("http://test/skip1");
+        DOM.importScripts("http://test/skip1", "http://test/skip2", spy);
+
+        expect(bodySpy.calls.count()).toBe(2);
+        expect(spy).toHaveBeenCalled();
+    });
+
+    it("should not inject pending scripts twice", function() {
+        var spy = jasmine.createSpy("callback"),
+            script;
+
+        bodySpy.and.callFake(function(el) { script = el });
+
+        DOM.importScripts("http://test/pending", spy);
+        DOM.importScripts("http://test/pending", spy);
+
+        expect(bodySpy.calls.count()).toBe(1);
+        expect(spy).not.toHaveBeenCalled();
+        // trigger fake onload
+        script.onload();
+
+        expect(spy.calls.count()).toBe(2);
+    });
+
+    it("should allow to load failed scripts again", function() {
+        bodySpy.and.callFake(function(el) {
+            // trigger fake onerror
+            el.onerror();
+        });
+
+        DOM.importScripts("http://test/retry", function() {});
+        DOM.importScripts("http://test/retry", function() {});
+
+        expect(bodySpy.calls.count()).toBe(2);
+    });
+
     it("should throw error if arguments are invalid", function() {
         expect(function() { DOM.importScripts(1) } ).toThrow();
     });
@@ -31,9 +31,68 @@ describe("DOM.importStyles", function() {
         expect(link.style("box-sizing")).toBe("border-box");
     });
 
+    it("should return handle to remove imported rules", function() {
+        jasmine.sandbox.set("<a id='importStyles4'></a>");
+
+        var link = DOM.find("#importStyles4"),
+            rule = DOM.importStyles("#importStyles4", "display: none");
+
+        expect(link.style("display")).toBe("none");
+        rule.remove();
+        expect(link.style("display")).not.toBe("none");
+    });
+
+    it("should return handle to update imported rules", function() {
+        jasmine.sandbox.set("<a id='importStyles5'></a>");
+
+        var link = DOM.find("#importStyles5"),
+            rule = DOM.importStyles("#importStyles5", {"display": "none"});
+
+        expect(link.style("display")).toBe("none");
+        rule.update({"display": "block"});
+        expect(link.style("display")).toBe("block");
+        rule.update("display: inline-block");
+        expect(link.style("display")).toBe("inline-block");
+    });
+
+    it("should accept nested objects for multiple selectors", function() {
+        jasmine.sandbox.set("<div id='importStyles6'><a></a><b></b></div>");
+
+        var div = DOM.find("#importStyles6");
+
+        DOM.importStyles("#importStyles6", {
+            "display": "none",
+            "a": {"display": "block"},
+            "& > b, i": {"display": "inline-block"}
+        });
+
+        expect(div.style("display")).toBe("none");
+        expect(div.child(0).style("display")).toBe("block");
+        expect(div.child(1).style("display")).toBe("inline-block");
+
+        DOM.importStyles({"#importStyles6": {"display": "table"}});
+
+        expect(div.style("display")).toBe("table");
+    });
+
+    it("should accept at-rule wrappers", function() {
+        jasmine.sandbox.set("<a id='importStyles7'></a><b id='importStyles8'></b>");
+
+        var link = DOM.find("#importStyles7"),
+            bold = DOM.find("#importStyles8");
+
+        DOM.importStyles("@media all", {"#importStyles7": {"display": "none"}});
+        DOM.importStyles("#importStyles8", {"@media all": {"display": "none"}});
+
+        expect(link.style("display")).toBe("none");
+        expect(bold.style("display")).toBe("none");
+    });
+
     it("should throw error if arguments are invalid", function() {
         expect(function() { DOM.importStyles(1); }).toThrow();
         expect(function() { DOM.importStyles("a"); }).toThrow();
         expect(function() { DOM.importStyles("a", null); }).toThrow();
+        expect(function() { DOM.importStyles({"display": "none"}); }).toThrow();
+        expect(function() { DOM.importStyles("a", "display: none").update(1); }).toThrow();
     });
 });
\ No newline at end of file
@@ -0,0 +1,75 @@
+describe("scheduler", function() {
+    "use strict";
+
+    it("should execute reads before writes", function(done) {
+        var log = [];
+
+        DOM.mutate(function() { log.push("write1") });
+        DOM.measure(function() {
+            log.push("read");
+
+            DOM.mutate(function() { log.push("write2") });
+        });
+
+        DOM.mutate(function() {
+            log.push("write3");
+        }).then(function() {
+            expect(log).toEqual(["read", "write1", "write3", "write2"]);
+
+            done();
+        });
+    });
+
+    it("should resolve promise with callback result", function(done) {
+        DOM.measure(function() { return 123 }).then(function(value) {
+            expect(value).toBe(123);
+
+            return DOM.mutate(function() { throw "error" });
+        }).then(null, function(err) {
+            expect(err).toBe("error");
+
+            done();
+        });
+    });
+
+    it("should defer chainable methods", function(done) {
+        var link = DOM.create("a"),
+            proxy = link.defer();
+
+        expect(proxy.addClass("foo")).toBe(proxy);
+        expect(proxy.set("title", "bar")).toBe(proxy);
+        expect(link).not.toHaveClass("foo");
+        expect(link.get("title")).toBe("");
+
+        DOM.mutate(function() {
+            expect(link).toHaveClass("foo");
+            expect(link.get("title")).toBe("bar");
+
+            done();
+        });
+    });
+
+    it("should report errors of deferred calls", function(done) {
+        var link = DOM.create("a"),
+            onerror = window.onerror,
+            errorSpy = jasmine.createSpy("onerror").and.returnValue(true);
+
+        link.defer().style(123).addClass("foo");
+
+        DOM.measure(function() { window.onerror = errorSpy });
+
+        DOM.mutate(function() {
+            window.onerror = onerror;
+
+            expect(errorSpy).toHaveBeenCalled();
+            expect(link).toHaveClass("foo");
+
+            done();
+        });
+    });
+
+    it("should throw error if arguments are invalid", function() {
+        expect(function() { DOM.measure(); }).toThrow();
+        expect(function() { DOM.mutate("abc"); }).toThrow();
+    });
+});
@@ -0,0 +1,87 @@
+describe("DOM.styleSheet", function() {
+    "use strict";
+
+    it("should return the same stylesheet for the same name", function() {
+        var sheet = DOM.styleSheet("sheet1");
+
+        expect(DOM.styleSheet("sheet1")).toBe(sheet);
+
+        sheet.remove();
+
+        expect(DOM.styleSheet("sheet1")).not.toBe(sheet);
+
+        DOM.styleSheet("sheet1").remove();
+    });
+
+    it("should accept names of Object.prototype properties", function() {
+        var sheet = DOM.styleSheet("constructor");
+
+        expect(typeof sheet.importStyles).toBe("function");
+        expect(DOM.styleSheet("constructor")).toBe(sheet);
+
+        sheet.remove();
+    });
+
+    it("should enable and disable all rules at once", function() {
+        jasmine.sandbox.set("<a id='styleSheet1'></a><b id='styleSheet2'></b>");
+
+        var sheet = DOM.styleSheet("sheet2"),
+            link = DOM.find("#styleSheet1"),
+            bold = DOM.find("#styleSheet2");
+
+        sheet.importStyles("#styleSheet1", {"display": "none"});
+        sheet.importStyles("#styleSheet2", {"display": "none"});
+
+        expect(link.style("display")).toBe("none");
+        expect(bold.style("display")).toBe("none");
+
+        sheet.disable();
+
+        expect(link.style("display")).not.toBe("none");
+        expect(bold.style("display")).not.toBe("none");
+
+        sheet.enable();
+
+        expect(link.style("display")).toBe("none");
+
+        sheet.replace("#styleSheet2", {"display": "none"});
+
+        expect(link.style("display")).not.toBe("none");
+        expect(bold.style("display")).toBe("none");
+
+        sheet.remove();
+
+        expect(bold.style("display")).not.toBe("none");
+    });
+
+    it("should prefix rules with scope selector", function() {
+        jasmine.sandbox.set("<div id='styleSheet3'><a></a></div><a></a>");
+
+        var sheet = DOM.styleSheet("sheet3", {scope: "#styleSheet3"}),
+            div = DOM.find("#styleSheet3");
+
+        sheet.importStyles("a", {"display": "none"});
+        sheet.importStyles("&", {"display": "inline"});
+
+        expect(div.style("display")).toBe("inline");
+        expect(div.child(0).style("display")).toBe("none");
+        expect(div.next().style("display")).not.toBe("none");
+
+        sheet.remove();
+    });
+
+    it("should throw error if arguments are invalid", function() {
+        expect(function() { DOM.styleSheet(1); }).toThrow();
+        expect(function() { DOM.styleSheet("sheet4", null); }).toThrow();
+    });
+
+    it("should throw error if scope of existing stylesheet is different", function() {
+        var sheet = DOM.styleSheet("sheet5", {scope: "#a"});
+
+        expect(DOM.styleSheet("sheet5")).toBe(sheet);
+        expect(DOM.styleSheet("sheet5", {scope: "#a"})).toBe(sheet);
+        expect(function() { DOM.styleSheet("sheet5", {scope: "#b"}); }).toThrow();
+
+        sheet.remove();
+    });
+});
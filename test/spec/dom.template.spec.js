@@ -77,12 +77,31 @@ describe("DOM.template", function() {
         checkExpr("a>`{c}`", "<a>test</a>", {c: "test"});
         checkExpr("a.{c}>`{c}`", "<a class=\"test\">test</a>", {c: "test"});
         checkExpr("a#{b}>`{c}`", "<a id=\"bbb\">test</a>", {c: "test", b: "bbb"});
+        checkExpr("a.btn-{type}", "<a class=\"btn-x\"></a>", {type: "x"});
+        checkExpr("a#item-{id}.{c}-item", "<a id=\"item-5\" class=\"test-item\"></a>", {id: 5, c: "test"});
+        checkExpr("{tag}.foo>`{c}`", "<b class=\"foo\">test</b>", {tag: "b", c: "test"});
+        checkExpr("h-{n}+{tag}[title]", "<h-2></h-2><b title=\"title\"></b>", {n: 2, tag: "b"});
+        checkExpr("{tag}", "<b></b>", {tag: "b"});
+        checkExpr("p>{tag}+{text}*2", "<p><br>texttext</p>", {tag: "br"});
+        checkExpr("a[data-{n}=1 {&n}-{n}]", "<a data-x=\"1\" x-x=\"x-x\"></a>", {n: "x"});
         checkExpr("div[class=foo-{lang}]*2", "<div class=\"foo-en\"></div><div class=\"foo-en\"></div>", {lang: "en"});
         checkExpr("div[class=foo-$lang]*2", "<div class=\"foo-1lang\"></div><div class=\"foo-2lang\"></div>", {lang: "en"});
         //checkExpr("i>`{0}`", "<i></i>", [""]);
         checkExpr("i>`{0}:`", "<i>:</i>", [""]);
     });
 
+    describe("escaping", function() {
+        checkExpr("a[title={t}]>`{t}`", "<a title=\"&quot;&lt;&amp;&#39;\">\"&lt;&amp;'</a>", {t: "\"<&'"});
+        checkExpr("a[title='{t}']", "<a title='&#39;'></a>", {t: "'"});
+        checkExpr("a[title={t}]", "<a title=\"a b\"></a>", {t: "a b"});
+        checkExpr("a{{t}}", "<a>&lt;b&gt;</a>", {t: "<b>"});
+        checkExpr("a>`{t}`+b", "<a>`+i<b></b></a>", {t: "`+i"});
+        checkExpr("a*2>`{t}`", "<a>$</a><a>$</a>", {t: "$"});
+        checkExpr("p>`{&html}`", "<p><b>x</b></p>", {html: "<b>x</b>"});
+        checkExpr("p{{&html}}", "<p><b>x</b></p>", {html: "<b>x</b>"});
+        checkExpr("<a title='{t}'>{t}</a>", "<a title='&#39;&gt;'>&#39;&gt;</a>", {t: "'>"});
+    });
+
     describe("groups", function() {
         checkExpr("div#head+(p>span)+div#footer", "<div id=\"head\"></div><p><span></span></p><div id=\"footer\"></div>");
         checkExpr("div#head>((ul#nav>li*3)+(div.subnav>p)+(div.othernav))+div#footer", "<div id=\"head\"><ul id=\"nav\"><li></li><li></li><li></li></ul><div class=\"subnav\"><p></p></div><div class=\"othernav\"></div><div id=\"footer\"></div></div>");
@@ -90,9 +109,9 @@ describe("DOM.template", function() {
         checkExpr("ul>li.pre$*2+(li.item$*4>a)+li.post$*2", "<ul><li class=\"pre1\"></li><li class=\"pre2\"></li><li class=\"item1\"><a></a></li><li class=\"item2\"><a></a></li><li class=\"item3\"><a></a></li><li class=\"item4\"><a></a></li><li class=\"post1\"></li><li class=\"post2\"></li></ul>");
         checkExpr("div>(i+b)*2+(span+em)*3", "<div><i></i><b></b><i></i><b></b><span></span><em></em><span></span><em></em><span></span><em></em></div>");
         checkExpr("(span.i$)*3", "<span class=\"i1\"></span><span class=\"i2\"></span><span class=\"i3\"></span>");
-        // checkExpr("(p.i$+ul>li.i$*2>span.s$)*3", "<p class=\"i1\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul><p class=\"i2\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul><p class=\"i3\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul>");
+        checkExpr("(p.i$+ul>li.i$*2>span.s$)*3", "<p class=\"i1\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul><p class=\"i2\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul><p class=\"i3\"></p><ul><li class=\"i1\"><span class=\"s1\"></span></li><li class=\"i2\"><span class=\"s2\"></span></li></ul>");
         checkExpr("p.p$*2>(i.i$+b.b$)*3", "<p class=\"p1\"><i class=\"i1\"></i><b class=\"b1\"></b><i class=\"i2\"></i><b class=\"b2\"></b><i class=\"i3\"></i><b class=\"b3\"></b></p><p class=\"p2\"><i class=\"i1\"></i><b class=\"b1\"></b><i class=\"i2\"></i><b class=\"b2\"></b><i class=\"i3\"></i><b class=\"b3\"></b></p>");
-        // checkExpr("a.c[d=$@2]*3>b>`Card $@-5`", "<a class=\"c\" d=\"2\"><b>Card 7</b></a><a class=\"c\" d=\"3\"><b>Card 6</b></a><a class=\"c\" d=\"4\"><b>Card 5</b></a>");
+        checkExpr("a.c[d=$@2]*3>b>`Card $@-5`", "<a class=\"c\" d=\"2\"><b>Card 7</b></a><a class=\"c\" d=\"3\"><b>Card 6</b></a><a class=\"c\" d=\"4\"><b>Card 5</b></a>");
         checkExpr("(a.c[d=$@2]>b>`Card $@-5`)*3", "<a class=\"c\" d=\"2\"><b>Card 7</b></a><a class=\"c\" d=\"3\"><b>Card 6</b></a><a class=\"c\" d=\"4\"><b>Card 5</b></a>");
     });
 
@@ -104,6 +123,58 @@ describe("DOM.template", function() {
         checkExpr("a>`{0}: `+span+span", "<a>test: <span></span><span></span></a>", ["test"]);
     });
 
+    describe("implicit tag names", function() {
+        checkExpr(".foo", "<div class=\"foo\"></div>");
+        checkExpr("#main>.item", "<div id=\"main\"><div class=\"item\"></div></div>");
+        checkExpr("ul>.item$*2", "<ul><li class=\"item1\"></li><li class=\"item2\"></li></ul>");
+        checkExpr("table>.row>.cell", "<table><tr class=\"row\"><td class=\"cell\"></td></tr></table>");
+        checkExpr("select>[value=1]", "<select><option value=\"1\"></option></select>");
+        checkExpr("em>.hint", "<em><span class=\"hint\"></span></em>");
+    });
+
+    describe("braces text", function() {
+        checkExpr("a{Click}", "<a>Click</a>");
+        checkExpr("a{Click}+b", "<a>Click</a><b></b>");
+        checkExpr("a{Click}>b", "<a>Click<b></b></a>");
+        checkExpr("p>{Click }+a{here}+{ for more}", "<p>Click <a>here</a> for more</p>");
+        checkExpr("a.btn{Click}", "<a class=\"btn\">Click</a>");
+        checkExpr("{text}", "text");
+        checkExpr("a>{text}+{text}*2", "<a>texttexttext</a>");
+    });
+
+    describe("numbering", function() {
+        checkExpr("h$*2", "<h1></h1><h2></h2>");
+        checkExpr("ul>li*3>{Item $}", "<ul><li>Item 1</li><li>Item 2</li><li>Item 3</li></ul>");
+        checkExpr("ul>li[data-index=$@0]*2>{$@-}", "<ul><li data-index=\"0\">2</li><li data-index=\"1\">1</li></ul>");
+        checkExpr("ul.u$*2>li.l$*2", "<ul class=\"u1\"><li class=\"l1\"></li><li class=\"l2\"></li></ul><ul class=\"u2\"><li class=\"l1\"></li><li class=\"l2\"></li></ul>");
+    });
+
+    it("should throw error with position on invalid syntax", function() {
+        function getMessage(template) {
+            try {
+                DOM.template(template);
+            } catch (err) {
+                return err.message;
+            }
+        }
+
+        expect(getMessage("a>>b")).toBe("Unexpected \">\" at position 2 in template \"a>>b\"");
+        expect(getMessage("a>")).toBe("Unexpected end at position 2 in template \"a>\"");
+        expect(getMessage("a[title")).toBe("Unclosed \"[\" at position 1 in template \"a[title\"");
+        expect(getMessage("p+(a>b")).toBe("Unclosed \"(\" at position 2 in template \"p+(a>b\"");
+        expect(getMessage("a)")).toBe("Unexpected \")\" at position 1 in template \"a)\"");
+        expect(getMessage("a*x")).toBe("Unexpected \"x\" at position 2 in template \"a*x\"");
+        expect(getMessage("a.")).toBe("Unexpected end at position 2 in template \"a.\"");
+    });
+
+    it("should throw error on unsafe values in tag and attribute names", function() {
+        expect(function() { DOM.template("a[data-{n}=1]", {n: "x onmouseover=alert(1) y"}); }).toThrow();
+        expect(function() { DOM.template("a[{n}]", {n: "x\" onclick=\"y"}); }).toThrow();
+        expect(function() { DOM.template("{tag}.foo", {tag: "img src=x onerror=alert(1)"}); }).toThrow();
+        expect(function() { DOM.template("{tag}", {tag: "img src=x onerror=alert(1)"}); }).toThrow();
+        expect(DOM.template("a.{c}[data-{n}=1]", {c: "x y", n: "my-attr_1"})).toBe("<a class=\"x y\" data-my-attr_1=\"1\"></a>");
+    });
+
     it("should throw error on invalid args", function() {
         expect(function() { DOM.template({}); }).toThrow();
         expect(function() { DOM.template(it); }).toThrow();
@@ -0,0 +1,91 @@
+describe("animate", function() {
+    "use strict";
+
+    var link;
+
+    beforeEach(function() {
+        link = DOM.create("a>`123`");
+
+        jasmine.sandbox.set(link);
+    });
+
+    it("should return animation controls", function(done) {
+        var animation = link.animate([{opacity: 0}, {opacity: 1}], 1000);
+
+        expect(animation.pause()).toBe(animation);
+        expect(animation.play()).toBe(animation);
+        expect(animation.reverse()).toBe(animation);
+        expect(animation.finish()).toBe(animation);
+        expect(typeof animation.cancel).toBe("function");
+
+        animation.finished.then(function(el) {
+            expect(el).toBe(link);
+
+            done();
+        });
+    });
+
+    it("should resolve finished promise when animation is done", function(done) {
+        var spy = jasmine.createSpy("finished");
+
+        link.animate({opacity: [0, 1]}, {duration: 10}).finished.then(spy);
+
+        setTimeout(function() {
+            expect(spy).toHaveBeenCalled();
+
+            done();
+        }, 200);
+    });
+
+    it("should restore inline styles after finish", function(done) {
+        link.style("animation-name", "");
+
+        link.animate([{opacity: 0}, {opacity: 1}], {duration: 1000}).finish().finished.then(function() {
+            expect(link.style("animation-name")).not.toMatch(/^better-dom-animation/);
+
+            done();
+        });
+    });
+
+    it("should keep end state for detached elements", function(done) {
+        link.remove();
+
+        link.animate([{color: "red"}, {color: "blue"}], {duration: 10, fill: "forwards"}).finished.then(function() {
+            expect(link).toHaveStyle("color", "blue");
+
+            done();
+        });
+    });
+
+    it("should reject finished promise when animation is cancelled", function(done) {
+        var animation = link.animate([{opacity: 0}, {opacity: 1}], 1000);
+
+        animation.cancel();
+
+        animation.finished.then(null, function(err) {
+            expect(err instanceof Error).toBe(true);
+            expect(link.style("animation-name")).not.toMatch(/^better-dom-animation/);
+
+            done();
+        });
+    });
+
+    it("should work for collections", function(done) {
+        var links = DOM.create("a+a");
+
+        link.after(links);
+
+        links.animate([{opacity: 0}, {opacity: 1}], 10).finished.then(function(el) {
+            expect(el).toBe(links);
+
+            done();
+        });
+    });
+
+    it("should throw error if arguments are invalid", function() {
+        expect(function() { link.animate() }).toThrow();
+        expect(function() { link.animate([{opacity: 0}]) }).toThrow();
+        expect(function() { link.animate("123", 10) }).toThrow();
+        expect(function() { link.animate([{opacity: 0}], "123") }).toThrow();
+    });
+});
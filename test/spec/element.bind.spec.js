@@ -0,0 +1,89 @@
+describe("bind", function() {
+    "use strict";
+
+    var input, model;
+
+    beforeEach(function() {
+        jasmine.sandbox.set("<input id='bind1'>");
+
+        input = DOM.find("#bind1");
+        model = {user: {name: "John", active: true, width: 10}};
+    });
+
+    afterEach(function() {
+        input.unbind();
+    });
+
+    it("should push model value into the element", function() {
+        expect(input.bind("value", model, "user.name")).toBe(input);
+        expect(input.get("value")).toBe("John");
+
+        model.user.name = "Bob";
+
+        expect(input.get("value")).toBe("Bob");
+        expect(model.user.name).toBe("Bob");
+    });
+
+    it("should bind classes and styles", function() {
+        input.bind("class:active", model, "user.active");
+        input.bind("style:width", model, "user.width");
+
+        expect(input).toHaveClass("active");
+        expect(input.style("width")).toBe("10px");
+
+        model.user.active = false;
+        model.user.width = 20;
+
+        expect(input).not.toHaveClass("active");
+        expect(input.style("width")).toBe("20px");
+    });
+
+    it("should push element changes into the model for two-way bindings", function() {
+        input.bind("value", model, "user.name", {twoWay: true});
+
+        input.set("value", "Bob");
+
+        expect(model.user.name).toBe("Bob");
+
+        document.getElementById("bind1").value = "Alice";
+        input.fire("input");
+
+        expect(model.user.name).toBe("Alice");
+    });
+
+    it("should initialize empty model property from the element", function() {
+        input.set("value", "Mark");
+        input.bind("value", model, "user.nick", {twoWay: true});
+
+        expect(model.user.nick).toBe("Mark");
+    });
+
+    it("should remove bindings", function() {
+        var otherModel = {name: "Other"};
+
+        input.bind("value", model, "user.name", {twoWay: true});
+        input.bind("title", otherModel, "name");
+
+        expect(input.unbind("title")).toBe(input);
+
+        otherModel.name = "Changed";
+
+        expect(input.get("title")).toBe("Other");
+
+        input.unbind();
+
+        model.user.name = "Bob";
+        input.set("value", "Alice");
+
+        expect(input.get("value")).toBe("Alice");
+        expect(model.user.name).toBe("Bob");
+        expect(Object.getOwnPropertyDescriptor(model.user, "name").value).toBe("Bob");
+    });
+
+    it("should throw error if arguments are invalid", function() {
+        expect(function() { input.bind(); }).toThrow();
+        expect(function() { input.bind("value", null, "name"); }).toThrow();
+        expect(function() { input.bind("value", model); }).toThrow();
+        expect(function() { input.bind("value", model, "unknown.name"); }).toThrow();
+    });
+});
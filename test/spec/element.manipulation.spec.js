@@ -21,6 +21,22 @@ describe("manipulation", function() {
             expect(div.remove().remove()).toBe(div);
         });
 
+        it("should remove event handlers of element and descendants", function() {
+            var parent = DOM.create("div>a"),
+                child = parent.child(0),
+                spy = jasmine.createSpy("click");
+
+            jasmine.sandbox.set(parent);
+
+            parent.on("click", spy);
+            child.on("click", spy);
+
+            parent.remove();
+            child.fire("click");
+
+            expect(spy).not.toHaveBeenCalled();
+        });
+
         // it("should throw error if argument is invalid", function() {
         //     expect(function() { div.remove(1); }).toThrow();
         // });
@@ -157,6 +173,124 @@ describe("manipulation", function() {
         });
     });
 
+    describe("renderList", function() {
+        var list, node;
+
+        function texts() {
+            return list.children().map(function(el) { return el.get("textContent"); }).join(",");
+        }
+
+        beforeEach(function() {
+            node = document.createElement("ul");
+            list = DOM.create(node);
+
+            jasmine.sandbox.set(list);
+        });
+
+        it("should render items with emmet template", function() {
+            expect(list.renderList([{id: 1, name: "a"}, {id: 2, name: "<b>"}], "id", "li>`{name}`")).toBe(list);
+            expect(list.children().length).toBe(2);
+            expect(texts()).toBe("a,<b>");
+        });
+
+        it("should reuse elements of existing keys", function() {
+            var first, second;
+
+            list.renderList([{id: 1, name: "a"}, {id: 2, name: "b"}], "id", "li>`{name}`");
+
+            first = list.child(0);
+            second = list.child(1);
+
+            list.renderList([{id: 3, name: "c"}, {id: 2, name: "b"}, {id: 1, name: "A"}], "id", "li>`{name}`");
+
+            expect(texts()).toBe("c,b,A");
+            expect(list.child(1)).toBe(second);
+            expect(list.child(2)).toBe(first);
+
+            list.renderList([{id: 1, name: "A"}], "id", "li>`{name}`");
+
+            expect(texts()).toBe("A");
+            expect(list.child(0)).toBe(first);
+        });
+
+        it("should move only elements that changed their order", function() {
+            var items = [1, 2, 3, 4].map(function(id) { return {id: id}; }),
+                spy = spyOn(node, "insertBefore").and.callThrough();
+
+            list.renderList(items, "id", "li>`{id}`");
+            expect(spy.calls.count()).toBe(4);
+
+            spy.calls.reset();
+            list.renderList(items.slice(1).concat(items[0]), "id", "li>`{id}`");
+            expect(texts()).toBe("2,3,4,1");
+            expect(spy.calls.count()).toBe(1);
+        });
+
+        it("should update attributes and content of changed items", function() {
+            var item;
+
+            list.renderList([{id: 1, cls: "a"}], "id", "li.{cls}>`{cls}`");
+
+            item = list.child(0);
+            item.set("data-state", "1");
+
+            list.renderList([{id: 1, cls: "b"}], "id", "li.{cls}>`{cls}`");
+
+            expect(list.child(0)).toBe(item);
+            expect(item).toHaveClass("b");
+            expect(item).not.toHaveClass("a");
+            expect(item).toHaveAttr("data-state", "1");
+            expect(item.get("textContent")).toBe("b");
+        });
+
+        it("should keep nested elements when only text is changed", function() {
+            var link;
+
+            list.renderList([{id: 1, name: "a"}], "id", "li>a[href=#]>`{name}`");
+
+            link = list.child(0).child(0);
+
+            list.renderList([{id: 1, name: "b"}], "id", "li>a[href=#]>`{name}`");
+
+            expect(list.child(0).child(0)).toBe(link);
+            expect(link.get("textContent")).toBe("b");
+        });
+
+        it("should accept primitive items", function() {
+            list.renderList(["x", "y"], function(item) { return item; }, "li>`{0}`");
+
+            expect(texts()).toBe("x,y");
+        });
+
+        it("should accept functor template", function() {
+            var spy = jasmine.createSpy("template").and.callFake(function(item, index, el) {
+                    return el || DOM.create("li>`{0}`", [item]);
+                });
+
+            list.renderList(["a", "b"], function(item) { return item; }, spy);
+            expect(spy).toHaveBeenCalledWith("a", 0, undefined);
+
+            list.renderList(["b"], function(item) { return item; }, spy);
+            expect(spy).toHaveBeenCalledWith("b", 0, list.child(0));
+            expect(texts()).toBe("b");
+        });
+
+        it("should throw error if arguments are invalid", function() {
+            expect(function() { list.renderList(); }).toThrow();
+            expect(function() { list.renderList([], 1, "li"); }).toThrow();
+            expect(function() { list.renderList([], "id"); }).toThrow();
+            expect(function() { list.renderList([{id: 1}, {id: 1}], "id", "li"); }).toThrow();
+            expect(function() { list.renderList([{id: 1}], "id", "li+li"); }).toThrow();
+        });
+
+        it("should not change anything on duplicate keys", function() {
+            list.renderList([{id: 1}], "id", "li>`{id}`");
+
+            expect(function() { list.renderList([{id: 2}, {id: 2}], "id", "li>`{id}`"); }).toThrow();
+            expect(texts()).toBe("1");
+        });
+    });
+
     function createDivHtml(className) {
         return "<div class='" + className + "'></div>";
     }
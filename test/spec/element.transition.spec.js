@@ -0,0 +1,83 @@
+describe("transition", function() {
+    "use strict";
+
+    var link;
+
+    beforeEach(function() {
+        link = DOM.create("a>`123`");
+
+        jasmine.sandbox.set(link);
+    });
+
+    it("should apply style properties", function(done) {
+        link.transition({color: "red"}).then(function(el) {
+            expect(el).toBe(link);
+            expect(link).toHaveStyle("color", "red");
+
+            done();
+        });
+    });
+
+    it("should add class or call function", function(done) {
+        link.transition("active").then(function() {
+            expect(link).toHaveClass("active");
+
+            return link.transition(function(el) { el.removeClass("active") });
+        }).then(function() {
+            expect(link).not.toHaveClass("active");
+
+            done();
+        });
+    });
+
+    it("should wait for transition end", function(done) {
+        var start = Date.now();
+
+        link.style("cssText", "transition:opacity 50ms;-webkit-transition:opacity 50ms");
+
+        link.transition({opacity: 0}).then(function() {
+            if (link.style("transition-duration") === "0.05s") {
+                expect(Date.now() - start).not.toBeLessThan(50);
+            }
+
+            done();
+        });
+    });
+
+    it("should queue changes per element", function(done) {
+        var spy = jasmine.createSpy("change");
+
+        link.transition(spy);
+        link.transition(function() {
+            expect(spy).toHaveBeenCalled();
+        }).then(done);
+    });
+
+    it("should continue queue after an error", function(done) {
+        link.transition(function() { throw Error("test") }).then(null, function(err) {
+            expect(err.message).toBe("test");
+        });
+
+        link.transition("active").then(function() {
+            expect(link).toHaveClass("active");
+
+            done();
+        });
+    });
+
+    it("should complete immediately for detached elements", function(done) {
+        link.remove();
+
+        link.transition({color: "red"});
+
+        expect(link).toHaveStyle("color", "red");
+
+        link.transition("active").then(done);
+    });
+
+    it("should throw error if arguments are invalid", function() {
+        expect(function() { link.transition() }).toThrow();
+        expect(function() { link.transition(123) }).toThrow();
+        expect(function() { link.transition(null) }).toThrow();
+    });
+});
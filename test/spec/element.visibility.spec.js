@@ -55,7 +55,7 @@ describe("visibility", function() {
         });
 
         it("should support exec callback when no animation is defined", function(done) {
-            expect(link.hide(done)).toBe(link);
+            link.hide(done);
         });
 
         it("should support exec callback when animation is defined", function(done) {
@@ -220,6 +220,168 @@ describe("visibility", function() {
         // });
     });
 
+    describe("strategy", function() {
+        it("should use display:none when specified", function(done) {
+            link.style("display", "inline-block");
+
+            link.hide("display").then(function() {
+                expect(link).toHaveStyle("display", "none");
+
+                return link.show();
+            }).then(function() {
+                expect(link).toHaveStyle("display", "inline-block");
+
+                done();
+            });
+        });
+
+        it("should keep element in the flow for visibility strategy", function(done) {
+            link.hide("visibility", function() {
+                expect(link).toHaveStyle("visibility", "hidden");
+                expect(link.style("position")).not.toBe("absolute");
+                expect(link.style("display")).not.toBe("none");
+
+                done();
+            });
+        });
+
+        it("should collapse height and restore inline styles", function(done) {
+            link.style({height: "20px", overflow: "auto"});
+
+            link.hide("height").then(function() {
+                expect(link).toHaveStyle("height", "0px");
+                expect(link).toHaveStyle("overflow", "hidden");
+
+                return link.show();
+            }).then(function() {
+                expect(link).toHaveStyle("height", "20px");
+                expect(link).toHaveStyle("overflow", "auto");
+
+                done();
+            });
+        });
+
+        it("should support hidden attribute", function(done) {
+            link.hide("hidden").then(function() {
+                expect(link).toHaveAttr("hidden");
+
+                return link.show();
+            }).then(function() {
+                expect(link).not.toHaveAttr("hidden");
+
+                done();
+            });
+        });
+
+        it("should read strategy from data-hide-strategy attribute", function(done) {
+            link.set("data-hide-strategy", "display");
+
+            link.hide().then(function() {
+                expect(link).toHaveStyle("display", "none");
+
+                done();
+            });
+        });
+
+        it("should not override initial state on subsequent calls", function(done) {
+            link.style("display", "inline");
+
+            link.hide("display").then(function() {
+                return link.hide("display");
+            }).then(function() {
+                return link.show();
+            }).then(function() {
+                expect(link).toHaveStyle("display", "inline");
+
+                done();
+            });
+        });
+
+        it("should throw error for unknown strategy", function() {
+            expect(function() { link.hide("unknown") }).toThrow();
+            expect(function() { link.toggle("unknown", 10) }).toThrow();
+        });
+    });
+
+    describe("promise", function() {
+        it("should be resolved when animation is done", function(done) {
+            var spy = jasmine.createSpy("callback");
+
+            link.hide(spy).then(function(cancelled) {
+                expect(cancelled).toBe(false);
+                expect(spy).toHaveBeenCalled();
+                expect(link).toHaveAttr("aria-hidden", "true");
+
+                return link.show();
+            }).then(function() {
+                expect(link).toHaveAttr("aria-hidden", "false");
+
+                done();
+            });
+        });
+
+        it("should wait for all elements in collection", function(done) {
+            var links = DOM.create("a>`abc`+a.fade[style='transition:opacity 10ms;-webkit-transition:opacity 10ms']>`abc`"),
+                spy = jasmine.createSpy("callback");
+
+            link.after(links);
+
+            links.hide(spy).then(function() {
+                expect(spy.calls.count()).toBe(2);
+
+                done();
+            });
+        });
+
+        it("should keep methods chainable", function(done) {
+            var result = link.hide().addClass("chained");
+
+            expect(link).toHaveClass("chained");
+            expect(result.length).toBe(1);
+            expect(result[0]).toBe(link);
+
+            result.then(function(cancelled) {
+                expect(cancelled).toBe(false);
+
+                done();
+            });
+        });
+
+        it("should be resolved for empty collections", function(done) {
+            DOM.mock().hide().then(done);
+        });
+
+        it("should allow to cancel pending change", function(done) {
+            var spy = jasmine.createSpy("callback"),
+                result = link.hide(10, spy);
+
+            expect(result.cancel()).toBe(true);
+            expect(result.cancel()).toBe(false);
+
+            result.then(function(cancelled) {
+                expect(cancelled).toBe(true);
+
+                setTimeout(function() {
+                    expect(spy).not.toHaveBeenCalled();
+                    expect(link).not.toHaveAttr("aria-hidden");
+
+                    done();
+                }, 30);
+            });
+        });
+
+        it("should not cancel applied change", function(done) {
+            var result = link.hide();
+
+            result.then(function() {
+                expect(result.cancel()).toBe(false);
+                expect(link).toHaveAttr("aria-hidden", "true");
+
+                done();
+            });
+        });
+    });
+
     it("should handle unknown aria-hidden values as false", function(done) {
         expect(link.matches(":hidden")).toBe(false);
         link.set("aria-hidden", "123");
@@ -74,4 +74,80 @@ describe("watch", function() {
         link.set("title", "modified2");
         expect(spy.calls.count()).toBe(2);
     });
+
+    describe("native changes", function() {
+        beforeEach(function() {
+            jasmine.sandbox.set(link);
+        });
+
+        it("should detect attribute mutations in batch", function(done) {
+            var spy = jasmine.createSpy("watcher"),
+                node = document.querySelector("a[title=text]");
+
+            if (!window.MutationObserver && !window.WebKitMutationObserver) return done();
+
+            link.watch("title", spy);
+
+            spy.and.callFake(function() {
+                expect(spy.calls.count()).toBe(1);
+                expect(spy).toHaveBeenCalledWith("c", "text", "title");
+
+                done();
+            });
+
+            node.setAttribute("title", "b");
+            node.setAttribute("title", "c");
+        });
+
+        it("should not duplicate notifications for setter calls", function(done) {
+            var spy = jasmine.createSpy("watcher");
+
+            link.watch("title", spy);
+            link.set("title", "modified");
+
+            expect(spy.calls.count()).toBe(1);
+
+            setTimeout(function() {
+                expect(spy.calls.count()).toBe(1);
+
+                done();
+            }, 50);
+        });
+
+        it("should detect value changes on input events", function(done) {
+            var input = DOM.create("input[value=a]"),
+                spy = jasmine.createSpy("watcher");
+
+            jasmine.sandbox.set(input);
+
+            input.watch("value", spy);
+
+            spy.and.callFake(function(newValue, oldValue, name) {
+                expect(newValue).toBe("b");
+                expect(oldValue).toBe("a");
+                expect(name).toBe("value");
+
+                done();
+            });
+
+            document.querySelector("input[value=a]").value = "b";
+
+            input.fire("input");
+        });
+
+        it("should stop native watching after unwatch", function(done) {
+            var spy = jasmine.createSpy("watcher");
+
+            link.watch("title", spy);
+            link.unwatch("title", spy);
+
+            document.querySelector("a[title=text]").setAttribute("title", "b");
+
+            setTimeout(function() {
+                expect(spy).not.toHaveBeenCalled();
+
+                done();
+            }, 50);
+        });
+    });
 });
@@ -76,8 +76,60 @@ describe("fire", function() {
         expect(spy).toHaveBeenCalledWith(123, input);
     });
 
+    describe("custom events", function() {
+        var node;
+
+        beforeEach(function() {
+            node = document.getElementById("input");
+        });
+
+        it("should pass arguments into detail", function() {
+            var data = {x: 1};
+
+            node.addEventListener("my:click", callback, false);
+
+            input.fire("my:click", data);
+            expect(callback.calls.mostRecent().args[0].detail).toBe(data);
+
+            input.fire("my:click", data, 2);
+            expect(callback.calls.mostRecent().args[0].detail).toEqual([data, 2]);
+
+            node.removeEventListener("my:click", callback, false);
+        });
+
+        it("should accept event options", function() {
+            var spy = jasmine.createSpy("sandbox");
+
+            document.addEventListener("my:click", spy, false);
+
+            input.fire({type: "my:click", bubbles: false, detail: "test"}, 1);
+            expect(spy).not.toHaveBeenCalled();
+
+            input.fire({type: "my:click"});
+            expect(spy).toHaveBeenCalled();
+
+            document.removeEventListener("my:click", spy, false);
+        });
+
+        it("should pass arguments into handlers as before", function() {
+            input.on("my:click", callback, ["detail"]);
+
+            input.fire({type: "my:click", detail: "test"}, 1, 2);
+
+            expect(callback).toHaveBeenCalledWith(1, 2, "test");
+        });
+
+        it("should respect cancelable option", function() {
+            input.on("my:click", function() { return false });
+
+            expect(input.fire("my:click")).toBe(false);
+            expect(input.fire({type: "my:click", cancelable: false})).toBe(true);
+        });
+    });
+
     it("should throw error if arguments are invalid", function() {
         expect(function() { input.fire(1); }).toThrow();
+        expect(function() { input.fire({}); }).toThrow();
     });
 
 });
\ No newline at end of file
@@ -49,12 +49,96 @@ describe("off", function() {
         expect(obj.test2).not.toHaveBeenCalled();
     });
 
+    it("should remove handlers by namespace", function() {
+        var otherSpy = jasmine.createSpy("focus");
+
+        spyOn(obj, "test");
+
+        input.on("click.tooltip", spy).on("focus.tooltip", otherSpy).on("click", obj.test);
+
+        input.off(".tooltip").fire("click");
+        input.fire("focus");
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(otherSpy).not.toHaveBeenCalled();
+        expect(obj.test).toHaveBeenCalled();
+    });
+
+    it("should match all namespaces of a handler", function() {
+        input.on("click.a.b", spy).off("click.a.c").fire("click");
+        expect(spy.calls.count()).toBe(1);
+
+        input.off("click.b.a").fire("click");
+        expect(spy.calls.count()).toBe(1);
+
+        input.on("click", spy).off("click.a").fire("click");
+        expect(spy.calls.count()).toBe(2);
+    });
+
+    it("should support namespaces for delegated events", function() {
+        link.on("click.tooltip input", spy).off(".tooltip");
+        input.fire("click");
+        expect(spy).not.toHaveBeenCalled();
+
+        link.on("click.tooltip input", spy).off("click.tooltip input");
+        input.fire("click");
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    it("should support namespaces in array and object forms", function() {
+        var otherSpy = jasmine.createSpy("focus");
+
+        input.on(["click.ns", "focus.ns"], spy).on({"click.ns": otherSpy}).off(".ns");
+        input.fire("click");
+        input.fire("focus");
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(otherSpy).not.toHaveBeenCalled();
+    });
+
+    it("should remove all handlers if called without arguments", function() {
+        var otherSpy = jasmine.createSpy("focus");
+
+        link.on("click", spy).on("focus input", otherSpy).off();
+
+        input.fire("click");
+        input.fire("focus");
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(otherSpy).not.toHaveBeenCalled();
+    });
+
+    it("should remove handlers of all selectors for type", function() {
+        var otherSpy = jasmine.createSpy("focus");
+
+        link.on("click input", spy).on("click", spy).on("focus input", otherSpy).off("click");
+
+        input.fire("click");
+        input.fire("focus");
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(otherSpy).toHaveBeenCalled();
+    });
+
+    it("should remove handlers by selector", function() {
+        var otherSpy = jasmine.createSpy("focus");
+
+        link.on("click input", spy).on("focus input", spy).on("click", otherSpy).off("* input");
+
+        input.fire("click");
+        input.fire("focus");
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(otherSpy).toHaveBeenCalled();
+    });
+
     it("should return reference to 'this'", function() {
         expect(input.off("click")).toEqual(input);
     });
 
     it("should throw error if agruments are invalid", function() {
         expect(function() { link.off(123); }).toThrow();
+        expect(function() { link.off(null); }).toThrow();
     });
 
 });
\ No newline at end of file
@@ -276,6 +276,97 @@ describe("on", function() {
         expect(function() { input.on(123); }).toThrow();
     });
 
+    describe("options", function() {
+        var makeSignal = function() {
+            var listeners = [];
+
+            return {
+                aborted: false,
+                listeners: listeners,
+                addEventListener: function(type, fn) { listeners.push(fn) },
+                removeEventListener: function(type, fn) {
+                    var index = listeners.indexOf(fn);
+
+                    if (index >= 0) listeners.splice(index, 1);
+                },
+                abort: function() {
+                    this.aborted = true;
+
+                    listeners.slice(0).forEach(function(fn) { fn() });
+                }
+            };
+        };
+
+        it("should accept options with or without props", function() {
+            input.on("click", spy, {passive: true}).fire("click");
+            expect(spy).toHaveBeenCalledWith(input, input, false);
+
+            spy.calls.reset();
+
+            input.on("focus", spy, ["type"], {capture: true}).fire("focus");
+            expect(spy).toHaveBeenCalledWith("focus");
+        });
+
+        it("should support once option", function() {
+            input.on("click", spy, {once: true});
+
+            input.fire("click");
+            input.fire("click");
+
+            expect(spy.calls.count()).toBe(1);
+        });
+
+        it("should call capturing handlers first", function() {
+            var log = [];
+
+            form.on("click", function() { log.push("bubble") });
+            form.on("click", function() { log.push("capture") }, {capture: true});
+
+            input.fire("click");
+
+            expect(log).toEqual(["capture", "bubble"]);
+
+            form.off("click");
+        });
+
+        it("should remove listeners when signal is aborted", function() {
+            var signal = makeSignal(),
+                otherSpy = jasmine.createSpy("focus");
+
+            input.on("click", spy, {signal: signal});
+            form.on({"focus input": otherSpy}, {signal: signal});
+
+            signal.abort();
+
+            input.fire("click");
+            input.fire("focus");
+
+            expect(spy).not.toHaveBeenCalled();
+            expect(otherSpy).not.toHaveBeenCalled();
+
+            input.on("click", spy, {signal: signal}).fire("click");
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        it("should release signal when listener is removed", function() {
+            var signal = makeSignal();
+
+            input.on("click", spy, {signal: signal});
+            input.on("focus", spy, {signal: signal});
+            input.once("blur", spy, {signal: signal});
+            expect(signal.listeners.length).toBe(3);
+
+            input.off("click");
+            expect(signal.listeners.length).toBe(2);
+
+            input.fire("blur");
+            expect(signal.listeners.length).toBe(1);
+
+            signal.abort();
+            expect(signal.listeners.length).toBe(0);
+        });
+    });
+
     describe("once", function() {
         it("should trigger callback only one time", function() {
             spy.and.callFake(function() {
@@ -289,6 +380,24 @@ describe("on", function() {
             expect(spy.calls.count()).toBe(1);
         });
 
+        it("should support namespaces and selectors", function() {
+            var otherSpy = jasmine.createSpy("other");
+
+            form.once("click.ns input", spy);
+            form.on("click.ns input", otherSpy);
+
+            input.fire("click");
+            input.fire("click");
+
+            expect(spy.calls.count()).toBe(1);
+            expect(otherSpy.calls.count()).toBe(2);
+
+            form.once("click.ns input", spy).off(".ns");
+            input.fire("click");
+
+            expect(spy.calls.count()).toBe(1);
+        });
+
         it("should work for with late binding", function() {
             spy.and.callFake(function() { expect(this).toBe(input) });
             input.callback = spy;